@@ -0,0 +1,71 @@
+// Optional access control for private instances: tokens that must lead every
+// addon URL (/<token>/manifest.json), a per-token request budget, and the host
+// allowlist the subtitle converter fetches through.
+const crypto = require('crypto');
+
+// Tokens live in URL paths, so keep them to URL-safe characters.
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{8,}$/;
+
+// Tokens are only kept (and looked up) hashed.
+function digest(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// "alice:token1,bob:token2", or a single shared "token" -> Map(digest -> name).
+// Names show up in logs and metrics instead of the tokens themselves.
+function parseTokens(spec = '') {
+    const tokens = new Map();
+    spec.split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry, i) => {
+        const at = entry.lastIndexOf(':');
+        const name = at === -1 ? `token-${i + 1}` : entry.slice(0, at).trim();
+        const token = at === -1 ? entry : entry.slice(at + 1).trim();
+        if (!TOKEN_PATTERN.test(token)) {
+            throw new Error(`Access token for "${name}" must be at least 8 letters, digits, "-" or "_"`);
+        }
+        tokens.set(digest(token), name);
+    });
+    return tokens;
+}
+
+// Token bucket per name: `perMinute` requests a minute, in bursts of up to as many.
+// Resolves { allowed, retryAfter } (seconds until the next request would pass).
+function createRateLimit(perMinute) {
+    const buckets = new Map();
+    return name => {
+        if (!perMinute) return { allowed: true, retryAfter: 0 };
+        const now = Date.now();
+        const bucket = buckets.get(name) || { tokens: perMinute, at: now };
+        bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.at) * perMinute / 60000);
+        bucket.at = now;
+        buckets.set(name, bucket);
+        if (bucket.tokens < 1) return { allowed: false, retryAfter: Math.ceil((1 - bucket.tokens) * 60 / perMinute) };
+        bucket.tokens--;
+        return { allowed: true, retryAfter: 0 };
+    };
+}
+
+function createAccessControl({ tokens = '', perMinute = 0 } = {}) {
+    const known = parseTokens(tokens);
+    return {
+        enabled: known.size > 0,
+        names: [...new Set(known.values())],
+        // Name the token was issued under, or null for an unknown token.
+        identify: token => (token ? known.get(digest(token)) || null : null),
+        limit: createRateLimit(perMinute)
+    };
+}
+
+// Whether `url` is http(s) on one of `hosts` or a subdomain of one.
+function hostAllowed(url, hosts) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return false;
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return false;
+    const host = parsed.hostname.toLowerCase();
+    return [...hosts].some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+module.exports = { createAccessControl, hostAllowed, parseTokens };
@@ -1,26 +1,32 @@
+// HStream addon as a library: createAddon() builds one instance (Stremio addon
+// interface, scraping, caches and browser pool) with an express router to mount.
+// server.js runs one on its own.
 const { addonBuilder } = require('stremio-addon-sdk');
 const express = require('express');
 const cors = require('cors');
-
-let puppeteer;
-let chromium;
-
-// Verifichiamo se siamo su Render
-const isRender = process.env.RENDER || process.env.RENDER_EXTERNAL_HOSTNAME;
-
-if (isRender) {
-    chromium = require('@sparticuz/chromium');
-    puppeteer = require('puppeteer-core');
-} else {
-    puppeteer = require('puppeteer-core');
-}
-
-const app = express();
-const port = process.env.PORT || 7000;
-
-// Get server URL based on environment. Used to build absolute subtitle URLs,
-// so it must resolve to an address Stremio can actually reach.
-function getServerURL() {
+const fs = require('fs');
+const path = require('path');
+const { renderConfigurePage } = require('./configure');
+const { renderStatusPage } = require('./status');
+const { counter, histogram, collected, renderMetrics } = require('./metrics');
+const { Cache, FileBackend } = require('./cache');
+const { SITE_PAGE_SIZE, extractListing, scrapeHealth, parseDetails, parseStudios } = require('./scrape');
+const { convertSubtitle } = require('./subtitles');
+const { createProxyToken, readProxyToken, proxyStream, probeStream } = require('./proxy');
+const { probeMedia } = require('./media');
+const { loadIndex, createSearch } = require('./site-index');
+
+const puppeteer = require('puppeteer-core');
+const { isRender, browserOptions } = require('./browser');
+const { createPagePool, isBrowserCrash } = require('./pool');
+const { createLimiter, isThrottled, throttledError, THROTTLE_STATUSES } = require('./limiter');
+const { createAccessControl, hostAllowed } = require('./access');
+
+// URL Stremio reaches this server on, when createAddon() isn't given a publicUrl.
+// Used to build absolute subtitle URLs, so it must resolve to an address Stremio
+// can actually reach.
+function defaultServerURL() {
+    const port = process.env.PORT || 7000;
     if (process.env.RENDER) {
         return `https://${process.env.RENDER_EXTERNAL_HOSTNAME}`;
     }
@@ -46,91 +52,148 @@ function getServerURL() {
     return `http://localhost:${port}`;
 }
 
-// Configurazione aggiornata
-const manifest = {
-    id: 'org.hstreammoe',
-    version: '1.4.1',
-    name: 'HStream',
-    description: 'Watch videos from hstream.moe with per-episode quality selection (up to 4K) and subtitles',
-    resources: ['catalog', 'meta', 'stream'],
-    types: ['movie'],
-    idPrefixes: ['hstream:'],
-    catalogs: [
-        {
-            type: 'movie',
-            id: 'hstream-popular',
-            name: 'HStream - Most Viewed',
-            extra: [
-                { name: 'skip', isRequired: false },
-                { name: 'search', isRequired: false }
-            ],
-            pageSize: 100
-        },
-        {
-            type: 'movie',
-            id: 'hstream-recent',
-            name: 'HStream - Recently Released',
-            extra: [
-                { name: 'skip', isRequired: false },
-                { name: 'search', isRequired: false }
-            ],
-            pageSize: 100
-        }
-    ],
-    logo: 'https://hstream.moe/images/cropped-HS-1-270x270.webp',
-    background: 'https://i.imgur.com/cQc3rO1.png'
-};
+// Tags offered as the catalogs' genre filter. hstream filters on the slug
+// (?tags[0]=big-boobs); see tagSlug().
+const HSTREAM_TAGS = [
+    '3D', '4K', '48fps', 'Ahegao', 'Anal', 'BDSM', 'Big Boobs', 'Blow Job', 'Bondage',
+    'Boob Job', 'Censored', 'Comedy', 'Cosplay', 'Creampie', 'Dark Skin', 'Elf', 'Facial',
+    'Fantasy', 'Filmed', 'Foot Job', 'Futanari', 'Gangbang', 'Glasses', 'Hand Job', 'Harem',
+    'Horror', 'Incest', 'Inflation', 'Lactation', 'Loli', 'Maid', 'Masturbation', 'Milf',
+    'Mind Break', 'Mind Control', 'Monster', 'Nekomimi', 'NTR', 'Nurse', 'Orgy', 'POV',
+    'Pregnant', 'Public Sex', 'Rape', 'Reverse Rape', 'Rimjob', 'Scat', 'School Girl',
+    'Shota', 'Small Boobs', 'Succubus', 'Swim Suit', 'Teacher', 'Tentacle', 'Threesome',
+    'Toys', 'Trap', 'Tsundere', 'Ugly Bastard', 'Uncensored', 'Vanilla', 'Virgin', 'X-Ray', 'Yuri'
+];
+
+function tagSlug(name) {
+    return String(name).trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+// Fallback options for the "By Studio" catalog until the live studio list has
+// been scraped from the site (see fetchStudios()).
+const KNOWN_STUDIOS = [
+    'AniMan', 'Arms', 'Blue Eyes', 'BOMB! CUTE! BOMB!', 'Bunnywalker', 'ChuChu',
+    'Collaboration Works', 'Discovery', 'Easy Film', 'EDGE', 'Gold Bear', 'Himajin Planning',
+    'Hot Bear', 'Jumondou', 'Lune Pictures', 'Magin Label', 'Majin', 'Mary Jane', 'Milky',
+    'Nihikime no Dozeu', 'Nur', 'Pashmina', 'Pink Pineapple', 'PoRO', 'Queen Bee',
+    'Rabbit Gate', 'Schoolzone', 'Seven', 'Showten', 'Studio 9 Maiami', 'Studio Eromatick',
+    'Studio Fantasia', 'Suzuki Mirano', 'T-Rex', 'Vanilla'
+];
 
-const builder = new addonBuilder(manifest);
-const DEBUG = true;
+// Verbose logging; on unless DEBUG=0 (or false).
+const DEBUG = !['0', 'false'].includes(String(process.env.DEBUG).toLowerCase());
 
 // Utility function for delay
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
+// Like Promise.all(items.map(fn)) but with at most `limit` calls running at once.
+async function mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i], i);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
 function debug(...args) {
     if (DEBUG) console.log(...args);
 }
 
-class Cache {
-    constructor(ttl = 3600000) {
-        this.data = new Map();
-        this.ttl = ttl;
-    }
-    get(key) {
-        if (!this.data.has(key)) return null;
-        const item = this.data.get(key);
-        if (Date.now() > item.expires) {
-            this.data.delete(key);
-            return null;
+function envNumber(name, fallback) {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// Prometheus metrics served on /metrics.
+const fetchPageSeconds = histogram('hstream_fetch_page_duration_seconds', 'Time to fetch and parse one listing page, by scraping path.');
+const fetchDetailsSeconds = histogram('hstream_fetch_video_details_duration_seconds', 'Time to scrape an episode page (cache misses), by the path that served it.');
+const subtitleSeconds = histogram('hstream_subtitle_conversion_duration_seconds', 'Time to convert a downloaded subtitle file, by output format.');
+const gotoRetries = counter('hstream_page_goto_retries_total', 'Listing page loads retried by the browser.');
+const upstreamResponses = counter('hstream_upstream_responses_total', 'Responses from hstream by HTTP status code and client.');
+const browserLaunches = counter('hstream_browser_launches_total', 'Chrome launches.');
+const browserCrashes = counter('hstream_browser_crashes_total', 'Chrome instances that disconnected without being closed by the addon.');
+const coalescedRequests = counter('hstream_coalesced_requests_total', 'Requests that joined an identical in-flight scrape instead of starting one.');
+const handlerRequests = counter('hstream_handler_requests_total', 'Addon requests by resource, type and catalog.');
+const accessDenied = counter('hstream_access_denied_total', 'Requests refused by access control, by reason.');
+const tokenRequests = counter('hstream_token_requests_total', 'Addon requests per access token name.');
+const sourceProbes = counter('hstream_source_probes_total', 'Scraped video files probed for size and codec, by result.');
+const linkChecks = counter('hstream_stream_link_checks_total', 'Cached stream links checked before being handed out, by result.');
+const unavailableStreams = counter('hstream_streams_unavailable_total', 'Stream requests answered with a "temporarily unavailable" entry, by reason.');
+const staleServed = counter('hstream_stale_served_total', 'Expired cache entries served because hstream was rate-limiting us, by cache.');
+const browserQueueSeconds = histogram('hstream_browser_queue_wait_seconds', 'Time browser tasks waited for a pooled page, by priority.');
+
+// Metrics are process-wide; the ones read from a limiter, pool or cache at scrape
+// time add up every live instance (see createAddon()).
+const instances = new Set();
+const sumOf = fn => [...instances].reduce((total, instance) => total + fn(instance), 0);
+// Per-cache samples, summed across instances by cache name.
+function cacheSamples(read) {
+    const totals = new Map();
+    for (const { caches } of instances) {
+        for (const [name, cache] of caches) {
+            read(cache).forEach(({ labels, value }, i) => {
+                const key = `${name}:${i}`;
+                const sample = totals.get(key) || { labels: { cache: name, ...labels }, value: 0 };
+                sample.value += value;
+                totals.set(key, sample);
+            });
         }
-        return item.value;
-    }
-    set(key, value, customTtl = null) {
-        const expires = Date.now() + (customTtl || this.ttl);
-        this.data.set(key, { value, expires });
-    }
-    clear() {
-        this.data.clear();
     }
+    return [...totals.values()];
 }
+collected('hstream_upstream_throttled_total', 'hstream responses that paused requests (403, 429, 503).', 'counter', () =>
+    [{ labels: {}, value: sumOf(i => i.limiter.stats().throttled) }]);
+collected('hstream_upstream_rejected_total', 'Requests to hstream refused locally while the circuit breaker was open.', 'counter', () =>
+    [{ labels: {}, value: sumOf(i => i.limiter.stats().rejected) }]);
+collected('hstream_upstream_circuit_open', '1 while requests to hstream are paused by the circuit breaker.', 'gauge', () =>
+    [{ labels: {}, value: sumOf(i => (i.limiter.isOpen() ? 1 : 0)) }]);
+collected('hstream_upstream_requests_in_flight', 'Requests to hstream in flight or waiting for the limiter.', 'gauge', () => [
+    { labels: { state: 'in_flight' }, value: sumOf(i => i.limiter.stats().inFlight) },
+    { labels: { state: 'queued' }, value: sumOf(i => i.limiter.stats().queued) }
+]);
+collected('hstream_browser_pages', 'Browser pool pages by state (open or queued for).', 'gauge', () => [
+    { labels: { state: 'open' }, value: sumOf(i => i.pool.stats().active) },
+    { labels: { state: 'queued' }, value: sumOf(i => i.pool.stats().queued) }
+]);
+collected('hstream_browser_task_timeouts_total', 'Browser tasks whose page was closed for running past PAGE_TIMEOUT.', 'counter', () =>
+    [{ labels: {}, value: sumOf(i => i.pool.stats().timeouts) }]);
+collected('hstream_browser_crash_retries_total', 'Browser tasks run again on a fresh browser after theirs disconnected.', 'counter', () =>
+    [{ labels: {}, value: sumOf(i => i.pool.stats().retried) }]);
+collected('hstream_browser_recycles_total', 'Browsers retired after BROWSER_MAX_PAGES pages or above BROWSER_MAX_RSS_MB.', 'counter', () =>
+    [{ labels: {}, value: sumOf(i => i.pool.stats().recycled) }]);
+collected('hstream_cache_requests_total', 'Cache lookups by cache and result.', 'counter', () =>
+    cacheSamples(cache => [{ labels: { result: 'hit' }, value: cache.hits }, { labels: { result: 'miss' }, value: cache.misses }]));
+collected('hstream_selector_strategy_results_total', 'Pages each selector strategy validated on (ok) or not (failed).', 'counter', () =>
+    Object.entries(scrapeHealth()).flatMap(([kind, { strategies }]) =>
+        Object.entries(strategies).flatMap(([strategy, counts]) => [
+            { labels: { kind, strategy, result: 'ok' }, value: counts.ok },
+            { labels: { kind, strategy, result: 'failed' }, value: counts.failed }
+        ])));
+collected('hstream_scrape_degraded', '1 while every selector strategy fails for this kind of page.', 'gauge', () =>
+    Object.entries(scrapeHealth()).map(([kind, state]) => ({ labels: { kind }, value: state.degraded ? 1 : 0 })));
+collected('hstream_cache_entries', 'Entries currently held by each cache.', 'gauge', () =>
+    cacheSamples(cache => [{ labels: {}, value: cache.data.size }]));
+
+const MB = 1024 * 1024;
+// Expired entries are kept this long to answer from while hstream is refusing requests.
+const STALE_FOR = 24 * 60 * 60 * 1000;
 
-const catalogCache = new Cache(3 * 60 * 60 * 1000);
-const metaCache = new Cache(6 * 60 * 60 * 1000);
-const streamCache = new Cache(1 * 60 * 60 * 1000);
-
-const SITE_PAGE_SIZE = 25;   // hstream.moe returns 25 items per search page
 const STREMIO_PAGE = 100;    // how many items we hand back to Stremio per request (matches manifest pageSize)
 const MAX_SITE_PAGES = 200;  // safety ceiling (~5000 items)
 
-// On memory-constrained hosts (Render free = 512MB) keeping Chrome resident and
-// running many parallel tabs causes OOM kills. There we launch/close the browser
-// per operation (like the original code) and scrape fewer pages at once.
-const LOW_MEMORY = isRender || process.env.LOW_MEMORY === '1';
-const PERSISTENT_BROWSER = !LOW_MEMORY;
-const CONCURRENT_PAGES = 5;  // site pages fetched in parallel per batch (matches the original, Render-proven profile)
+// How long a catalog index built from pages that failed selector validation is
+// kept: long enough not to hammer a broken site, short enough to recover quickly.
+const DEGRADED_TTL = 5 * 60 * 1000;
+// How long a title whose tags couldn't be read stays unfiltered before it's tried again.
+const TAG_CHECK_RETRY = 10 * 60 * 1000;
 
-// Cache for converted subtitles (key = .ass url -> srt text)
-const subsCache = new Cache(12 * 60 * 60 * 1000);
+const CONCURRENT_PAGES = 5;  // site pages fetched in parallel per batch (matches the original, Render-proven profile)
+const PRIORITY = { stream: 0, meta: 1, catalog: 2, background: 3 };
 
 // Map hstream language names -> ISO 639-2 codes used by Stremio
 const LANG_MAP = {
@@ -142,844 +205,1982 @@ const LANG_MAP = {
 // hstream encodes quality in the <source size="..."> attribute.
 // The "i" variants (1081/2161) are the 48fps interpolated versions.
 const QUALITY_INFO = {
-    '2161': { label: '2160p (4K) 48FPS', rank: 6 },
-    '2160': { label: '2160p (4K)',       rank: 5 },
-    '1081': { label: '1080p 48FPS',      rank: 4 },
-    '1080': { label: '1080p',            rank: 3 },
-    '720':  { label: '720p',             rank: 2 },
-    '480':  { label: '480p',             rank: 1 },
-    '360':  { label: '360p',             rank: 0 }
+    '2161': { label: '2160p (4K) 48FPS', rank: 6, height: 2160, interpolated: true },
+    '2160': { label: '2160p (4K)',       rank: 5, height: 2160 },
+    '1081': { label: '1080p 48FPS',      rank: 4, height: 1080, interpolated: true },
+    '1080': { label: '1080p',            rank: 3, height: 1080 },
+    '720':  { label: '720p',             rank: 2, height: 720 },
+    '480':  { label: '480p',             rank: 1, height: 480 },
+    '360':  { label: '360p',             rank: 0, height: 360 }
 };
 
 function qualityInfo(size) {
-    return QUALITY_INFO[String(size)] || { label: size ? `${size}p` : 'Unknown', rank: -1 };
+    return QUALITY_INFO[String(size)] || { label: size ? `${size}p` : 'Unknown', rank: -1, height: parseInt(size, 10) || 0 };
 }
 
-// Minimal HTTP(S) GET that returns the body as a string (follows one level of redirect).
-function httpGet(url, redirects = 3) {
-    return new Promise((resolve, reject) => {
-        let lib;
-        try {
-            lib = url.startsWith('https') ? require('https') : require('http');
-        } catch (e) {
-            return reject(e);
-        }
-        const req = lib.get(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                'Referer': 'https://hstream.moe/'
-            }
-        }, res => {
-            if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location && redirects > 0) {
-                res.resume();
-                return resolve(httpGet(res.headers.location, redirects - 1));
-            }
-            if (res.statusCode !== 200) {
-                res.resume();
-                return reject(new Error(`HTTP ${res.statusCode} for ${url}`));
-            }
-            const chunks = [];
-            res.on('data', c => chunks.push(c));
-            res.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
-        });
-        req.on('error', reject);
-        req.setTimeout(30000, () => req.destroy(new Error('Subtitle request timeout')));
-    });
+function formatBytes(bytes) {
+    if (!bytes) return null;
+    return bytes >= 1024 * MB ? `${(bytes / 1024 / MB).toFixed(2)} GB` : `${Math.round(bytes / MB)} MB`;
+}
+
+// File name for a source, for Stremio's subtitle matching: the CDN calls every
+// file "manifest.mp4".
+function sourceFilename(title, source) {
+    const ext = ['mp4', 'webm', 'mkv'].includes(source.container) ? source.container : 'mp4';
+    const quality = (source.info.height ? `${source.info.height}p` : String(source.size || '')) + (source.info.interpolated ? ' 48fps' : '');
+    return `${title.replace(/[\\/:*?"<>|]+/g, ' ').trim()}${quality ? ` [${quality}]` : ''}.${ext}`;
 }
 
-// Convert an ASS timestamp (H:MM:SS.cs, centiseconds) to milliseconds.
-function assTimeToMs(t) {
-    const m = String(t).trim().match(/(\d+):(\d{2}):(\d{2})[.:](\d{1,3})/);
-    if (!m) return null;
-    const [, h, mm, ss, frac] = m;
-    const cs = frac.length === 2 ? parseInt(frac, 10) * 10 : parseInt(frac.padEnd(3, '0').slice(0, 3), 10);
-    return ((parseInt(h, 10) * 3600 + parseInt(mm, 10) * 60 + parseInt(ss, 10)) * 1000) + cs;
+// Per-install preferences, carried base64url-encoded JSON in the addon URL
+// (/<config>/manifest.json) and edited on the /configure page.
+const CATALOG_IDS = ['hstream-popular', 'hstream-recent', 'hstream-studio'];
+// Renditions the /subs/ endpoint can serve. 'auto' keeps each subtitle's own
+// choice from fetchVideoDetails (styled WebVTT for .ass, the file as-is otherwise).
+const SUBTITLE_FORMATS = {
+    auto: 'Automatic',
+    vtt: 'WebVTT (keeps positioning and italics)',
+    srt: 'SRT (plain text)',
+    ass: 'Original .ass (for players that render ASS)'
+};
+const DEFAULT_CONFIG = {
+    maxQuality: 2160,     // highest resolution offered (48fps variants count as their base resolution)
+    hide48fps: false,     // drop the interpolated 1081/2161 variants
+    subtitleLang: '',     // ISO 639-2 code listed first among the subtitles, e.g. 'eng'
+    subtitleFormat: 'auto', // SUBTITLE_FORMATS key: which /subs/ rendition Stremio gets
+    proxyStreams: false,  // play through /proxy/ instead of straight from the CDN
+    catalogs: CATALOG_IDS, // catalogs shown in Stremio
+    blockedTags: []       // HSTREAM_TAGS names whose titles are hidden everywhere
+};
+
+function parseConfig(segment) {
+    if (!segment) return { ...DEFAULT_CONFIG };
+    let raw = {};
+    try {
+        raw = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8')) || {};
+    } catch (e) {
+        debug('Ignoring malformed config segment:', segment);
+    }
+    const config = { ...DEFAULT_CONFIG };
+    if (Number.isFinite(Number(raw.maxQuality)) && Number(raw.maxQuality) > 0) config.maxQuality = Number(raw.maxQuality);
+    if (typeof raw.hide48fps === 'boolean') config.hide48fps = raw.hide48fps;
+    if (typeof raw.proxyStreams === 'boolean') config.proxyStreams = raw.proxyStreams;
+    if (typeof raw.subtitleLang === 'string' && Object.values(LANG_MAP).includes(raw.subtitleLang)) config.subtitleLang = raw.subtitleLang;
+    if (Object.hasOwn(SUBTITLE_FORMATS, raw.subtitleFormat)) config.subtitleFormat = raw.subtitleFormat;
+    if (Array.isArray(raw.catalogs)) config.catalogs = raw.catalogs.filter(id => CATALOG_IDS.includes(id));
+    if (Array.isArray(raw.blockedTags)) {
+        config.blockedTags = HSTREAM_TAGS.filter(tag => raw.blockedTags.some(t => tagSlug(t) === tagSlug(tag)));
+    }
+    return config;
 }
 
-function msToSrtTime(ms) {
-    const h = Math.floor(ms / 3600000);
-    const m = Math.floor((ms % 3600000) / 60000);
-    const s = Math.floor((ms % 60000) / 1000);
-    const millis = ms % 1000;
-    const p = (n, l = 2) => String(n).padStart(l, '0');
-    return `${p(h)}:${p(m)}:${p(s)},${p(millis, 3)}`;
+// Config as the handlers use it. The routes below pass parseConfig() output, but
+// the SDK's own getRouter()/serveHTTP() pass {} (or their own parse of the URL).
+function withDefaults(config) {
+    return { ...DEFAULT_CONFIG, ...config };
 }
 
-// Strip ASS override tags / drawing commands and normalise line breaks.
-function stripAssText(text) {
-    return text
-        .replace(/\{[^}]*\}/g, '')   // {\override} blocks
-        .replace(/\\[Nn]/g, '\n')     // hard / soft line breaks
-        .replace(/\\h/g, ' ')          // hard space
-        .replace(/[ \t]+/g, ' ')
-        .trim();
+// Inverse of parseConfig(); only non-default values are kept so URLs stay short.
+// Returns '' for the default config, i.e. the plain /manifest.json install.
+function encodeConfig(config = {}) {
+    const diff = {};
+    for (const key of Object.keys(DEFAULT_CONFIG)) {
+        if (config[key] !== undefined && JSON.stringify(config[key]) !== JSON.stringify(DEFAULT_CONFIG[key])) {
+            diff[key] = config[key];
+        }
+    }
+    return Object.keys(diff).length ? Buffer.from(JSON.stringify(diff)).toString('base64url') : '';
 }
 
-// Convert a full ASS subtitle file into SRT text that Stremio can render.
-function assToSrt(ass) {
-    const lines = ass.split(/\r?\n/);
-    let inEvents = false;
-    let format = null;
-    const events = [];
-
-    for (const raw of lines) {
-        const line = raw.trim();
-        if (/^\[Events\]/i.test(line)) { inEvents = true; continue; }
-        if (/^\[.+\]$/.test(line)) { inEvents = false; continue; }
-        if (!inEvents) continue;
-
-        if (/^Format\s*:/i.test(line)) {
-            format = line.replace(/^Format\s*:/i, '').split(',').map(s => s.trim().toLowerCase());
-            continue;
-        }
-        if (/^Dialogue\s*:/i.test(line) && format) {
-            const rest = line.replace(/^Dialogue\s*:/i, '');
-            const parts = rest.split(',');
-            const textIdx = format.indexOf('text');
-            const startIdx = format.indexOf('start');
-            const endIdx = format.indexOf('end');
-            if (textIdx === -1 || startIdx === -1 || endIdx === -1) continue;
-            // Text is the last field and may contain commas, so re-join the tail.
-            const text = parts.slice(textIdx).join(',');
-            events.push({
-                start: assTimeToMs(parts[startIdx]),
-                end: assTimeToMs(parts[endIdx]),
-                text: stripAssText(text)
-            });
+// Collapse the episode-level listing into one entry per series (items sharing a
+// baseId), in the order each series first shows up. Because the episode index only
+// ever grows by appending, this order is stable across paginated requests.
+function groupSeries(items) {
+    const byBase = new Map();
+    for (const it of items) {
+        const baseId = it.baseId || it.id.split(':').pop();
+        let series = byBase.get(baseId);
+        if (!series) {
+            series = {
+                id: `hstream:${baseId}`,
+                baseId,
+                name: it.name.replace(/\s*-\s*\d+\s*$/, ''),
+                poster: it.poster,
+                quality: it.quality,
+                views: it.views,
+                cardTags: [],
+                episodes: []
+            };
+            byBase.set(baseId, series);
+        }
+        for (const tag of cardTags(it)) {
+            if (!series.cardTags.includes(tag)) series.cardTags.push(tag);
         }
+        series.episodes.push({
+            number: parseInt(it.episodeNumber, 10) || 1,
+            name: it.name,
+            link: it.link,
+            thumbnail: it.poster
+        });
     }
+    const list = [...byBase.values()];
+    for (const series of list) series.episodes.sort((a, b) => a.number - b.number);
+    return list;
+}
 
-    events.sort((a, b) => (a.start || 0) - (b.start || 0));
+// Content tags a listing card exposes through its badges ("Scat + Horror"), as slugs.
+function cardTags(item) {
+    return (item.quality || '').split(/[|+,]/).map(t => tagSlug(t)).filter(Boolean);
+}
 
-    let out = '';
-    let n = 1;
-    for (const e of events) {
-        if (e.start === null || e.end === null || !e.text) continue;
-        out += `${n++}\n${msToSrtTime(e.start)} --> ${msToSrtTime(e.end)}\n${e.text}\n\n`;
+function scrapeFailed(details) {
+    return !details || details.title === 'Unknown';
+}
+
+// Merge the episodes seen in the listing with the ones linked from a detail page.
+// The listing may not have reached every episode yet; the detail page usually has.
+function mergeEpisodes(listed, linked = []) {
+    const byNumber = new Map();
+    for (const ep of [...linked, ...listed]) {
+        byNumber.set(ep.number, { ...byNumber.get(ep.number), ...ep });
+    }
+    return [...byNumber.values()].sort((a, b) => a.number - b.number);
+}
+
+// Split a Stremio id into its parts:
+//   hstream:<baseId>                  series
+//   hstream:<baseId>:<season>:<n>     series episode
+// Earlier ids also named the catalog the title was listed in, so the same episode
+// had one id per catalog. They still resolve, to the same pages:
+//   hstream:<popular|recent>:<baseId>[:<season>:<n>]  series / series episode
+//   hstream:<popular|recent>:<slug>-<n>              per-episode movie (type 'movie')
+// Anything else (another addon's id, a slug that isn't one of hstream's) is null,
+// so handlers can turn it away before it costs an upstream request.
+const LEGACY_CATALOG_TYPES = ['popular', 'recent'];
+const SLUG_PATTERN = /^[a-z0-9-]+$/;
+function parseId(id) {
+    const [prefix, ...rest] = String(id).split(':');
+    let parts = rest;
+    if (prefix !== 'hstream') return null;
+    if (LEGACY_CATALOG_TYPES.includes(parts[0]) && (parts.length === 2 || parts.length === 4)) {
+        parts = parts.slice(1);
     }
-    return out;
+    const [slug, season, episode] = parts;
+    if (!SLUG_PATTERN.test(slug || '') || ![1, 3].includes(parts.length)) return null;
+    if (parts.length === 3 && !(/^\d+$/.test(season) && /^[1-9]\d*$/.test(episode))) return null;
+    return {
+        slug,
+        season: season ? parseInt(season, 10) : null,
+        episode: episode ? parseInt(episode, 10) : null
+    };
+}
+
+function toIsoDate(date) {
+    if (!date) return undefined;
+    const d = new Date(date);
+    return isNaN(d) ? undefined : d.toISOString();
 }
 
-async function launchBrowser() {
-    let options = {
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--disable-gpu',
-            '--window-size=1920x1080',
-            '--headless=new'
-        ]
+// Content-Type of each /subs/ rendition.
+const SUBTITLE_CONTENT_TYPES = {
+    srt: 'application/x-subrip; charset=utf-8',
+    vtt: 'text/vtt; charset=utf-8',
+    ass: 'text/x-ssa; charset=utf-8'
+};
+
+// One addon instance. Everything it needs can be injected, so it can be mounted in
+// another express app next to other addons; anything not given comes from the
+// environment, as documented in the README:
+//   upstreamUrl   hstream origin (HSTREAM_URL)
+//   publicUrl     URL `router` is reachable at from Stremio, mount path included
+//                 (ADDON_PUBLIC_URL, or guessed from the LAN address and PORT)
+//   scraper       'auto', 'http' or 'browser' (SCRAPER)
+//   lowMemory     close Chrome between tasks and scrape less at once (LOW_MEMORY, Render)
+//   cacheBackend  'file' or 'memory' (CACHE_BACKEND), under cacheDir (CACHE_DIR)
+//   caches        { catalog, meta, stream, subs }: Cache instances (cache.js) to use
+//                 instead of creating them
+//   launchBrowser async () => Puppeteer browser, replacing browser.js's discovery
+//   closeBrowser  async browser => disposes of one (default: close, or disconnect
+//                 from a remote browser)
+//   accessTokens  see access.js (ACCESS_TOKENS)
+//   validateStreams  check cached CDN links before handing them out (VALIDATE_STREAMS)
+//   probeSources  look up each scraped video's size and codec (PROBE_SOURCES)
+//   indexFile     search index written by crawl.js (INDEX_FILE, default
+//                 <cacheDir>/index.json); null never uses one
+// Returns { manifest, addonInterface, router, caches, serverUrl, access, start,
+// close, ... }: mount `router`, call start() once the server listens (browser
+// warm-up and background refresh), and close() to stop.
+function createAddon({
+    upstreamUrl = process.env.HSTREAM_URL || 'https://hstream.moe',
+    publicUrl = null,
+    scraper = process.env.SCRAPER,
+    lowMemory = isRender || process.env.LOW_MEMORY === '1',
+    cacheBackend = process.env.CACHE_BACKEND,
+    cacheDir = process.env.CACHE_DIR || path.join(__dirname, '.cache'),
+    caches: injectedCaches = {},
+    launchBrowser: customLaunch = null,
+    closeBrowser: customClose = null,
+    accessTokens = process.env.ACCESS_TOKENS,
+    validateStreams = process.env.VALIDATE_STREAMS !== '0',
+    probeSources = process.env.PROBE_SOURCES !== '0',
+    indexFile = process.env.INDEX_FILE || path.join(cacheDir, 'index.json')
+} = {}) {
+    function getServerURL() {
+        return publicUrl ? publicUrl.replace(/\/+$/, '') : defaultServerURL();
+    }
+
+    // Origin every hstream URL (listings, episode pages, relative links, Referer) is
+    // built from. Point it at a mirror, or at the fixture server the tests start, to
+    // run without the live site.
+    const HSTREAM_URL = upstreamUrl.replace(/\/+$/, '');
+    const HSTREAM_HOST = new URL(HSTREAM_URL).host;
+
+    const STUDIO_INDEX_URL = `${HSTREAM_URL}/search`;
+
+    // Configurazione aggiornata
+    const manifest = {
+        id: 'org.hstreammoe',
+        version: '1.4.1',
+        name: 'HStream',
+        description: 'Watch videos from hstream.moe with per-episode quality selection (up to 4K) and subtitles',
+        resources: ['catalog', 'meta', 'stream'],
+        // 'movie' is kept so per-episode items already in users' libraries still resolve.
+        types: ['series', 'movie'],
+        idPrefixes: ['hstream:'],
+        catalogs: [
+            {
+                type: 'series',
+                id: 'hstream-popular',
+                name: 'HStream - Most Viewed',
+                extra: [
+                    { name: 'skip', isRequired: false },
+                    { name: 'search', isRequired: false },
+                    { name: 'genre', isRequired: false, options: HSTREAM_TAGS }
+                ],
+                pageSize: 100
+            },
+            {
+                type: 'series',
+                id: 'hstream-recent',
+                name: 'HStream - Recently Released',
+                extra: [
+                    { name: 'skip', isRequired: false },
+                    { name: 'search', isRequired: false },
+                    { name: 'genre', isRequired: false, options: HSTREAM_TAGS }
+                ],
+                pageSize: 100
+            },
+            {
+                type: 'series',
+                id: 'hstream-studio',
+                name: 'HStream - By Studio',
+                extra: [
+                    { name: 'studio', isRequired: true, options: KNOWN_STUDIOS },
+                    { name: 'genre', isRequired: false, options: HSTREAM_TAGS },
+                    { name: 'skip', isRequired: false }
+                ],
+                pageSize: 100
+            }
+        ],
+        logo: `${HSTREAM_URL}/images/cropped-HS-1-270x270.webp`,
+        background: 'https://i.imgur.com/cQc3rO1.png',
+        behaviorHints: { configurable: true, configurationRequired: false }
     };
 
-    if (isRender) {
-        debug('Running on Render, using @sparticuz/chromium');
+    const builder = new addonBuilder(manifest);
+
+    // In-flight deduplication: concurrent calls with the same key (the cache key the
+    // result ends up under) share one promise instead of each starting a scrape.
+    const inFlight = new Map();
+    function singleFlight(key, fn) {
+        if (inFlight.has(key)) {
+            debug(`Joining in-flight request for ${key}`);
+            coalescedRequests.inc({ kind: key.split(/[-:]/)[0] });
+            return inFlight.get(key);
+        }
+        const promise = Promise.resolve().then(fn).finally(() => inFlight.delete(key));
+        inFlight.set(key, promise);
+        return promise;
+    }
+
+    // Per-key mutex: fn runs once every earlier call with the same key has settled,
+    // so read-modify-write sequences on one cache entry don't interleave.
+    const keyLocks = new Map();
+    function withKeyLock(key, fn) {
+        const run = (keyLocks.get(key) || Promise.resolve()).then(fn);
+        const tail = run.catch(() => {});
+        keyLocks.set(key, tail);
+        tail.then(() => {
+            if (keyLocks.get(key) === tail) keyLocks.delete(key);
+        });
+        return run;
+    }
+
+    // Stale-while-revalidate: once an entry is within REFRESH_AHEAD of expiring, start
+    // refreshing it in the background; callers keep getting the cached copy meanwhile.
+    function needsRefresh(cache, key) {
+        const expires = cache.expiresAt(key);
+        return !expires || expires - Date.now() <= REFRESH_AHEAD;
+    }
+
+    function refreshIfExpiring(cache, key, refresh) {
+        if (!REFRESH_AHEAD || !cache.expiresAt(key) || !needsRefresh(cache, key) || inFlight.has(`refresh:${key}`)) return;
+        if (hstreamLimiter.isOpen() || closing) return;
+        debug(`Refreshing ${key} ahead of expiry`);
+        singleFlight(`refresh:${key}`, refresh).catch(error => console.error(`Background refresh of ${key} failed:`, error.message));
+    }
+
+    // Health counters shown on /status: when each kind of scrape last succeeded and
+    // how many failures each stage has seen since startup.
+    const health = { startedAt: Date.now(), lastSuccess: { catalog: null, details: null, refresh: null }, errors: {} };
+
+    function recordSuccess(kind) {
+        health.lastSuccess[kind] = Date.now();
+    }
+
+    function recordError(stage) {
+        health.errors[stage] = (health.errors[stage] || 0) + 1;
+    }
+
+    // Cache storage: 'file' (default) keeps each cache as a journal under cacheDir
+    // (see FileBackend), so indexes, details and subtitles survive a restart for as
+    // long as cacheDir does: Render's free plan has no persistent disk, so there they
+    // start over after every deploy and spin-down. 'memory' keeps everything
+    // in-process only. Injected caches are used as given.
+    const CACHE_BACKEND = cacheBackend === 'memory' ? 'memory' : 'file';
+    const caches = new Map();
+
+    function createCache(name, ttl, limits) {
+        if (injectedCaches[name]) {
+            caches.set(name, injectedCaches[name]);
+            return injectedCaches[name];
+        }
+        const backend = CACHE_BACKEND === 'file' ? new FileBackend(cacheDir, name) : null;
+        const cache = new Cache(ttl, { staleFor: STALE_FOR, ...limits, backend });
+        if (cache.data.size) debug(`Loaded ${cache.data.size} ${name} cache entries from disk`);
+        caches.set(name, cache);
+        return cache;
+    }
+
+    // Write any pending changes before the process goes away.
+    const flushCaches = () => caches.forEach(c => c.flush());
+    process.on('exit', flushCaches);
+
+    const catalogCache = createCache('catalog', 3 * 60 * 60 * 1000, { maxEntries: 500, maxBytes: 32 * MB });
+    const metaCache = createCache('meta', 6 * 60 * 60 * 1000, { maxEntries: 20000, maxBytes: 4 * MB });
+    const streamCache = createCache('stream', 1 * 60 * 60 * 1000, { maxEntries: 5000, maxBytes: 16 * MB });
+
+    // On memory-constrained hosts (Render free = 512MB) keeping Chrome resident and
+    // running many parallel tabs causes OOM kills. There we launch/close the browser
+    // per operation (like the original code) and scrape fewer pages at once.
+    const LOW_MEMORY = Boolean(lowMemory);
+    const PERSISTENT_BROWSER = !LOW_MEMORY;
+
+    // Scraping path: 'auto' parses the server-rendered HTML over plain HTTP and only
+    // opens Chrome when that fails, 'http' never opens Chrome, 'browser' always does.
+    const SCRAPER = ['auto', 'http', 'browser'].includes(scraper) ? scraper : 'auto';
+    const CONCURRENT_DETAILS = LOW_MEMORY ? 1 : 3; // episode detail pages scraped in parallel for a refresh or a blocklist check
+
+    // Background refresh (see runRefresh): every REFRESH_INTERVAL minutes re-scrape the
+    // first REFRESH_PAGES site pages of the main catalogs and pre-fetch details for
+    // their top REFRESH_DETAILS titles. Entries within REFRESH_AHEAD minutes of expiry
+    // are refreshed in the background while the cached copy is still served. Runs are
+    // skipped while the process is over REFRESH_MAX_RSS_MB. Low-memory hosts get a
+    // lighter default budget; REFRESH_INTERVAL=0 turns the scheduler off.
+    const REFRESH_INTERVAL = envNumber('REFRESH_INTERVAL', LOW_MEMORY ? 60 : 30) * 60 * 1000;
+    const REFRESH_PAGES = envNumber('REFRESH_PAGES', LOW_MEMORY ? 2 : STREMIO_PAGE / SITE_PAGE_SIZE);
+    const REFRESH_DETAILS = envNumber('REFRESH_DETAILS', LOW_MEMORY ? 3 : 10);
+    const REFRESH_AHEAD = envNumber('REFRESH_AHEAD', 10) * 60 * 1000;
+    const REFRESH_MAX_RSS_MB = envNumber('REFRESH_MAX_RSS_MB', LOW_MEMORY ? 350 : 0);
+    const REFRESH_CATALOGS = ['popular', 'recent'];
+
+    // Browser page pool: at most PAGE_POOL_SIZE pages open at once, each task cut off
+    // after PAGE_TIMEOUT seconds, Chrome restarted after BROWSER_MAX_PAGES pages or
+    // above BROWSER_MAX_RSS_MB (0 turns either off). Queued work starts in PRIORITY order.
+    const PAGE_POOL_SIZE = Math.max(1, envNumber('PAGE_POOL_SIZE', LOW_MEMORY ? 1 : 5));
+    const PAGE_TIMEOUT = envNumber('PAGE_TIMEOUT', 120) * 1000;
+    const BROWSER_MAX_PAGES = envNumber('BROWSER_MAX_PAGES', 200);
+    const BROWSER_MAX_RSS_MB = envNumber('BROWSER_MAX_RSS_MB', LOW_MEMORY ? 300 : 1500);
+
+
+    // Request budget toward hstream (see limiter.js): HSTREAM_RPS requests started per
+    // second (0 = no pacing) and at most HSTREAM_MAX_IN_FLIGHT at once, over plain
+    // HTTP and browser page loads alike.
+    const hstreamLimiter = createLimiter({
+        rate: envNumber('HSTREAM_RPS', 5),
+        maxInFlight: Math.max(1, envNumber('HSTREAM_MAX_IN_FLIGHT', 4)),
+        log: message => console.warn(message)
+    });
+
+    // Stream link checks: before a cached CDN link is handed out, drop it if its
+    // signed expiry has passed or the CDN answers 403/404/410 to a probe (at most
+    // STREAM_PROBE_TIMEOUT seconds), and re-scrape the episode instead. A link that
+    // answered recently isn't probed again for LINK_CHECK_TTL.
+    const VALIDATE_STREAMS = Boolean(validateStreams);
+    const STREAM_PROBE_TIMEOUT = envNumber('STREAM_PROBE_TIMEOUT', 5) * 1000;
+    const LINK_CHECK_TTL = 5 * 60 * 1000;
+    const checkedLinks = new Cache(LINK_CHECK_TTL, { maxEntries: 2000 });
+    // Freshly scraped videos are probed the same way for their size, container and
+    // codec (see media.js), which are cached with the rest of the details.
+    const PROBE_SOURCES = Boolean(probeSources);
+
+    // Offline search: once crawl.js has written indexFile, catalog searches are
+    // answered from it. The file is read on a timer, never by a request: a crawl
+    // replacing it is picked up within INDEX_CHECK_INTERVAL.
+    const INDEX_CHECK_INTERVAL = 60 * 1000;
+    let siteSearch = null;
+    let indexMtime = 0;
+    async function reloadIndex() {
+        let mtime = 0;
         try {
-            options = {
-                ...options,
-                executablePath: await chromium.executablePath(),
-                headless: chromium.headless,
-                ignoreHTTPSErrors: true
-            };
-        } catch (error) {
-            console.error('Error configuring chromium on Render:', error);
-            throw error;
+            mtime = (await fs.promises.stat(indexFile)).mtimeMs;
+        } catch (e) {
+            // No index (yet): searches go to hstream.
         }
-    } else {
-        // Array di possibili percorsi di Chrome su Windows
-        const windowsChromePaths = [
-            'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
-            'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
-            process.env.LOCALAPPDATA + '\\Google\\Chrome\\Application\\chrome.exe',
-            process.env.PROGRAMFILES + '\\Google\\Chrome\\Application\\chrome.exe',
-            process.env['PROGRAMFILES(X86)'] + '\\Google\\Chrome\\Application\\chrome.exe',
-        ];
-
-        // Cerca il primo percorso valido
-        let chromePath = null;
-        for (const path of windowsChromePaths) {
+        if (mtime === indexMtime) return;
+        indexMtime = mtime;
+        const index = mtime ? await loadIndex(indexFile) : null;
+        siteSearch = index && index.series.length ? createSearch(index) : null;
+        if (siteSearch) console.log(`Search index loaded: ${siteSearch.size} titles from ${indexFile}`);
+    }
+    // Searches right after startup wait for the first read instead of skipping the index.
+    const indexLoaded = indexFile ? reloadIndex() : Promise.resolve();
+    const indexTimer = indexFile ? setInterval(reloadIndex, INDEX_CHECK_INTERVAL).unref() : null;
+
+    // Access control (see access.js): with ACCESS_TOKENS set, every addon URL must
+    // start with one of its tokens, and each token gets TOKEN_RATE_LIMIT requests a
+    // minute (0 = unlimited).
+    const access = createAccessControl({
+        tokens: accessTokens,
+        perMinute: envNumber('TOKEN_RATE_LIMIT', 120)
+    });
+
+    // While hstream is refusing our requests, answer from entries that expired within
+    // their cache's STALE_FOR window instead of failing.
+    function staleWhileThrottled(cache, key) {
+        if (!hstreamLimiter.isOpen()) return null;
+        const stale = cache.getStale(key);
+        if (stale) {
+            staleServed.inc({ cache: [...caches].find(([, c]) => c === cache)[0] });
+            debug(`Serving stale ${key} while hstream is rate-limiting us`);
+        }
+        return stale;
+    }
+
+    // Cache for converted subtitles (key = '<srt|vtt|ass>:<source url>' -> file text)
+    const subsCache = createCache('subs', 12 * 60 * 60 * 1000, { maxEntries: 1000, maxBytes: 32 * MB });
+
+    // Hosts /subs/ may fetch from, so it can't be used as an open proxy: hstream
+    // itself, anything in SUBTITLE_HOSTS (comma-separated; subdomains included), and
+    // every host hstream's own episode pages have linked subtitles from.
+    const SUBTITLE_HOSTS = [new URL(HSTREAM_URL).hostname, ...(process.env.SUBTITLE_HOSTS || '').split(',')]
+        .map(host => host.trim().toLowerCase()).filter(Boolean);
+    const LEARNED_HOSTS_TTL = 30 * 24 * 60 * 60 * 1000;
+
+    function subtitleHosts() {
+        return new Set([...SUBTITLE_HOSTS, ...(metaCache.get('subtitle-hosts') || [])]);
+    }
+
+    function learnSubtitleHost(url) {
+        const host = new URL(url).hostname.toLowerCase();
+        const learned = metaCache.get('subtitle-hosts') || [];
+        if (!SUBTITLE_HOSTS.includes(host) && !learned.includes(host)) {
+            debug(`Allowing subtitle downloads from ${host}`);
+            metaCache.set('subtitle-hosts', [...learned, host], LEARNED_HOSTS_TTL);
+        }
+    }
+
+    // Root of the addon URLs for one access token (see ACCESS_TOKENS): the server URL
+    // itself on open instances.
+    function installRoot(accessToken) {
+        return `${getServerURL()}${accessToken ? `/${accessToken}` : ''}`;
+    }
+
+    // Base URL an installed copy of the addon lives under, including its access token
+    // and config segment. The token rides along on the config object (never encoded).
+    function addonBaseUrl(config) {
+        const segment = encodeConfig(config);
+        return `${installRoot(config.accessToken)}${segment ? `/${segment}` : ''}`;
+    }
+
+    // Headers hstream's site and CDN expect; sent on every upstream request and
+    // handed to players (proxyHeaders) or the /proxy/ endpoint for video.
+    const UPSTREAM_HEADERS = {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Referer': `${HSTREAM_URL}/`
+    };
+    const STREAM_HEADERS = { ...UPSTREAM_HEADERS, 'Origin': HSTREAM_URL };
+
+    // Minimal HTTP(S) request that resolves { status, headers, body } whatever the
+    // status, following redirects for GETs (to URLs `canRedirect` accepts; otherwise
+    // the redirect itself is the response). Every hop to hstream waits its turn in
+    // hstreamLimiter; other hosts aren't under its budget. Only hstream's pages and API
+    // answers feed its backoff: a `download` (a subtitle file) is paced but its status
+    // says nothing about whether the site is throttling us.
+    async function httpRequest(url, { method = 'GET', headers = {}, body = null, redirects = 3, canRedirect = () => true, download = false } = {}) {
+        const toHstream = new URL(url).host === HSTREAM_HOST;
+        const release = toHstream ? await hstreamLimiter.acquire() : () => {};
+        const done = (status, retryAfter) => (download ? release() : release(status, retryAfter));
+        return new Promise((resolve, reject) => {
+            let lib;
             try {
-                if (require('fs').existsSync(path)) {
-                    chromePath = path;
-                    break;
-                }
+                lib = url.startsWith('https') ? require('https') : require('http');
             } catch (e) {
-                continue;
+                done();
+                return reject(e);
             }
+            const req = lib.request(url, {
+                method,
+                headers: { ...UPSTREAM_HEADERS, ...headers }
+            }, res => {
+                if (toHstream) upstreamResponses.inc({ client: 'http', code: res.statusCode });
+                done(res.statusCode, res.headers['retry-after']);
+                const next = res.headers.location && new URL(res.headers.location, url).href;
+                if (method === 'GET' && [301, 302, 303, 307, 308].includes(res.statusCode) && next && redirects > 0 && canRedirect(next)) {
+                    res.resume();
+                    return resolve(httpRequest(next, { method, headers, redirects: redirects - 1, canRedirect, download }));
+                }
+                const chunks = [];
+                res.on('data', c => chunks.push(c));
+                res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8') }));
+            });
+            req.on('error', error => {
+                done();
+                reject(error);
+            });
+            req.setTimeout(30000, () => req.destroy(new Error(`Request timeout for ${url}`)));
+            req.end(body || undefined);
+        });
+    }
+
+    // page.goto() under the same request budget as httpRequest().
+    async function limitedGoto(page, url, options) {
+        const done = await hstreamLimiter.acquire();
+        let response = null;
+        try {
+            response = await page.goto(url, options);
+            upstreamResponses.inc({ client: 'browser', code: response?.status() || 0 });
+            return response;
+        } finally {
+            done(response?.status(), response?.headers()['retry-after']);
         }
+    }
+
+    // Error for an hstream answer that says "slow down", so callers stop instead of
+    // treating the page as empty.
+    function throttledResponse(status, url) {
+        return throttledError(`hstream answered ${status} for ${url}`);
+    }
 
-        if (!chromePath) {
-            throw new Error('Chrome non trovato. Assicurati che Chrome sia installato nel tuo sistema.');
+    // GET that returns the body as a string and rejects on anything but 200.
+    async function httpGet(url, options = {}) {
+        const res = await httpRequest(url, options);
+        if (!options.download && THROTTLE_STATUSES.includes(res.status)) throw throttledResponse(res.status, url);
+        if (res.status !== 200) throw new Error(`HTTP ${res.status} for ${url}`);
+        return res.body;
+    }
+
+    // Resolve a (possibly protocol- or site-relative) hstream URL to an absolute one.
+    function absoluteUrl(url) {
+        if (!url || /^https?:/i.test(url)) return url || '';
+        return url.startsWith('//') ? `${new URL(HSTREAM_URL).protocol}${url}` : `${HSTREAM_URL}${url.startsWith('/') ? '' : '/'}${url}`;
+    }
+
+    // Every Chrome currently running (one shared, or one per operation in low-memory mode),
+    // and those being shut down on purpose, so other disconnects count as crashes.
+    const openBrowsers = new Set();
+    const closingBrowsers = new WeakSet();
+
+    // Browsers we connected to rather than launched: closing one only disconnects,
+    // the remote Chrome keeps running for the next connection.
+    const remoteBrowsers = new WeakSet();
+
+    // The launchBrowser option, when given, replaces browser.js's discovery.
+    async function launchBrowser() {
+        let options;
+        try {
+            options = customLaunch ? { source: 'launchBrowser option' } : await browserOptions();
+        } catch (error) {
+            console.error('Error finding a browser:', error.message);
+            recordError('browser');
+            throw error;
         }
 
-        options.executablePath = chromePath;
+        try {
+            debug(`Starting browser: ${options.source}`);
+            if (!customLaunch) debug('Browser options:', JSON.stringify(options.connect || options.launch, null, 2));
+            const browser = customLaunch ? await customLaunch()
+                : options.connect ? await puppeteer.connect(options.connect) : await puppeteer.launch(options.launch);
+            if (options.connect) remoteBrowsers.add(browser);
+            debug('Browser ready');
+            browserLaunches.inc();
+            openBrowsers.add(browser);
+            browser.on('disconnected', () => {
+                openBrowsers.delete(browser);
+                if (!closingBrowsers.has(browser)) {
+                    browserCrashes.inc();
+                    recordError('browser-crash');
+                }
+            });
+            return browser;
+        } catch (error) {
+            console.error(`Error starting browser (${options.source}):`, error);
+            recordError('browser');
+            throw error;
+        }
     }
 
-    try {
-        debug('Launching browser with options:', JSON.stringify(options, null, 2));
-        const browser = await puppeteer.launch(options);
-        debug('Browser launched successfully');
-        return browser;
-    } catch (error) {
-        console.error('Error launching browser:', error);
-        throw error;
+    // Closing a browser we connected to only disconnects from it.
+    async function closeBrowser(browser) {
+        closingBrowsers.add(browser);
+        if (customClose) await customClose(browser);
+        else if (remoteBrowsers.has(browser)) browser.disconnect();
+        else await browser.close().catch(() => {});
     }
-}
 
-// Browser lifecycle. In persistent mode (local) we keep one Chrome warm and reuse
-// it across requests for speed. In low-memory mode (Render) we launch a fresh
-// browser per operation and close it afterwards to stay within the RAM budget.
-let sharedBrowser = null;
-let browserLaunching = null;
-async function getBrowser() {
-    if (!PERSISTENT_BROWSER) {
-        // Caller is responsible for closing this via closeBrowser().
-        return launchBrowser();
-    }
-    if (sharedBrowser && sharedBrowser.isConnected()) return sharedBrowser;
-    if (browserLaunching) return browserLaunching;
-    browserLaunching = launchBrowser().then(b => {
-        sharedBrowser = b;
-        b.on('disconnected', () => { sharedBrowser = null; });
-        browserLaunching = null;
-        return b;
-    }).catch(err => {
-        browserLaunching = null;
-        throw err;
+    // Every browser page is opened through this pool (see pool.js). In persistent mode
+    // (local) one Chrome is kept warm between tasks; in low-memory mode (Render) it is
+    // closed shortly after the last task so it doesn't sit on the RAM budget.
+    const pagePool = createPagePool({
+        launch: launchBrowser,
+        close: closeBrowser,
+        size: PAGE_POOL_SIZE,
+        taskTimeout: PAGE_TIMEOUT,
+        maxPagesPerBrowser: BROWSER_MAX_PAGES,
+        maxRssMb: BROWSER_MAX_RSS_MB,
+        idleTimeout: PERSISTENT_BROWSER ? null : 5000,
+        onStart: ({ priority, waitedMs }) => browserQueueSeconds.observe(
+            { priority: Object.keys(PRIORITY).find(name => PRIORITY[name] === priority) }, waitedMs / 1000),
+        log: message => console.log(message)
     });
-    return browserLaunching;
-}
 
-// Only closes the browser in low-memory mode; in persistent mode it's kept warm.
-async function closeBrowser(browser) {
-    if (!PERSISTENT_BROWSER && browser) {
-        await browser.close().catch(() => {});
+
+    // Cache key of the growing item index for one catalog/search/genre combination.
+    function catalogCacheKey(catalogType, { search = '', genre = '', studio = '' } = {}) {
+        const filterPart = (studio ? `studio-${studioSlug(studio)}-` : '') + (genre ? `genre-${tagSlug(genre)}-` : '');
+        if (search) return `search-${search}-${filterPart}all`;
+        return `catalog-${catalogType}-${filterPart}all`;
     }
-}
 
-async function fetchCatalog(skip = 0, search = '', catalogType = 'popular') {
-    debug(`fetchCatalog: skip=${skip}, catalogType=${catalogType}, search="${search}"`);
 
-    // Global cache of all items scraped so far for this catalog/search.
-    const globalCacheKey = search ? `search-${search}-all` : `catalog-${catalogType}-all`;
-    const cached = catalogCache.get(globalCacheKey) || { items: [], pagesLoaded: 0, exhausted: false };
-    let { items, pagesLoaded, exhausted } = cached;
+    // Tags known for a series without opening it: its cards' badges plus the genres
+    // of any of its detail pages read so far (recorded by fetchVideoDetails and checkTags).
+    function knownTags(series) {
+        return [...series.cardTags, ...(metaCache.get(`tags-${series.baseId}`) || [])];
+    }
 
-    const seen = new Set(items.map(i => i.id));
-    const target = skip + STREMIO_PAGE; // how many items we need to satisfy this request
+    function isBlocked(series, blocked) {
+        return knownTags(series).some(tag => blocked.has(tag));
+    }
 
-    // Each hstream search page yields SITE_PAGE_SIZE (25) items. Keep loading
-    // batches of consecutive site pages until we have enough, run out, or hit the ceiling.
-    while (items.length < target && !exhausted && pagesLoaded < MAX_SITE_PAGES) {
-        const pagesToLoad = [];
-        for (let i = 1; i <= CONCURRENT_PAGES && pagesLoaded + i <= MAX_SITE_PAGES; i++) {
-            pagesToLoad.push(pagesLoaded + i);
+    // The series of `items` a blocklist (a Set of tag slugs) leaves visible. Cards
+    // only show some badges, so the first `count` visible series are settled first:
+    // those whose tags aren't known yet have their first episode's page read (a few
+    // at a time) and the list is filtered again. Whether a title is hidden then never
+    // depends on what else happened to be opened before, so offsets count the same
+    // titles on every request. A title whose page can't be read stays visible.
+    async function visibleSeries(items, blocked, count) {
+        const all = groupSeries(items);
+        if (!blocked) return all;
+        const unchecked = new Set();
+        for (;;) {
+            const visible = all.filter(s => !isBlocked(s, blocked));
+            const unknown = visible.slice(0, count).filter(s => !unchecked.has(s.baseId) && !metaCache.get(`tags-${s.baseId}`));
+            if (unknown.length === 0) return visible;
+            await mapLimit(unknown, CONCURRENT_DETAILS, async s => {
+                if (!await checkTags(s)) unchecked.add(s.baseId);
+            });
         }
-        if (pagesToLoad.length === 0) break;
+    }
 
-        debug(`Loading site pages ${pagesToLoad.join(', ')} (have ${items.length}, need ${target})`);
+    // Record a series' tags from its first episode's server-rendered page. Only the
+    // genres are needed, so this never opens the browser or probes the video files.
+    // A page that can't be read is remembered as tagless for TAG_CHECK_RETRY, so
+    // every catalog request doesn't try it again.
+    function checkTags(series) {
+        const key = `tags-${series.baseId}`;
+        return singleFlight(key, async () => {
+            try {
+                const details = await fetchDetailsHttp(series.episodes[0].link);
+                if (details.degraded) throw new Error('no selector strategy matched');
+                metaCache.set(key, (details.genres || []).map(tagSlug));
+                return true;
+            } catch (error) {
+                debug(`Tag check of ${series.baseId} failed:`, error.message);
+                metaCache.set(key, [], TAG_CHECK_RETRY);
+                return false;
+            }
+        });
+    }
 
-        let browser;
-        try {
-            browser = await getBrowser();
-            const pages = await Promise.all(pagesToLoad.map(p => fetchPage(browser, p, search, catalogType)));
-
-            let newCount = 0;
-            let emptyPages = 0;
-            for (const pageItems of pages) {
-                if (!pageItems || pageItems.length === 0) { emptyPages++; continue; }
-                for (const it of pageItems) {
-                    if (it && it.id && !seen.has(it.id)) {
-                        seen.add(it.id);
-                        items.push(it);
-                        newCount++;
+    async function fetchCatalog(skip = 0, filters = {}, catalogType = 'popular', blockedTags = []) {
+        const { search = '', genre = '', studio = '' } = filters;
+        debug(`fetchCatalog: skip=${skip}, catalogType=${catalogType}, search="${search}", genre="${genre}", studio="${studio}"`);
+
+        // skip counts visible (non-blocked) series, so pages stay full and stable
+        // however many titles the blocklist drops between two offsets.
+        const blocked = blockedTags.length ? new Set(blockedTags.map(tagSlug)) : null;
+        const target = skip + STREMIO_PAGE;
+
+        // Global cache of all items scraped so far for this catalog/search/genre. Growth
+        // is serialized per key: a concurrent request waits, then finds the pages the
+        // first one loaded instead of re-scraping them and overwriting its entry.
+        const globalCacheKey = catalogCacheKey(catalogType, filters);
+        refreshIfExpiring(catalogCache, globalCacheKey, () => refreshCatalog(catalogType, filters));
+
+        // Requests the index already covers are answered without waiting on the lock,
+        // so a background refresh holding it never delays them.
+        const cached = catalogCache.get(globalCacheKey);
+        if (cached) {
+            const series = await visibleSeries(cached.items, blocked, target);
+            if (series.length >= target || cached.exhausted || cached.pagesLoaded >= MAX_SITE_PAGES) {
+                debug(`Returning cached series (skip=${skip}, total cached=${series.length})`);
+                return series.slice(skip, skip + STREMIO_PAGE);
+            }
+        } else {
+            const stale = staleWhileThrottled(catalogCache, globalCacheKey);
+            if (stale) return (await visibleSeries(stale.items, blocked, target)).slice(skip, target);
+        }
+        return withKeyLock(globalCacheKey, () => growCatalog(globalCacheKey, skip, filters, catalogType, blocked));
+    }
+
+    async function growCatalog(globalCacheKey, skip, filters, catalogType, blocked) {
+        const cached = catalogCache.get(globalCacheKey) || { items: [], pagesLoaded: 0, exhausted: false };
+        // Copy so the cached entry is only ever replaced, never mutated mid-batch.
+        const items = [...cached.items];
+        let { pagesLoaded, exhausted } = cached;
+
+        const seen = new Set(items.map(i => i.id));
+        const target = skip + STREMIO_PAGE; // how many series we need to satisfy this request
+        let degraded = false;
+        let series = await visibleSeries(items, blocked, target);
+
+        // Each hstream search page yields SITE_PAGE_SIZE (25) episodes. Keep loading
+        // batches of consecutive site pages until we have enough series, run out, or hit the ceiling.
+        while (series.length < target && !exhausted && pagesLoaded < MAX_SITE_PAGES) {
+            const pagesToLoad = [];
+            for (let i = 1; i <= CONCURRENT_PAGES && pagesLoaded + i <= MAX_SITE_PAGES; i++) {
+                pagesToLoad.push(pagesLoaded + i);
+            }
+            if (pagesToLoad.length === 0) break;
+
+            debug(`Loading site pages ${pagesToLoad.join(', ')} (have ${items.length}, need ${target})`);
+
+            try {
+                const pages = await Promise.all(pagesToLoad.map(p => scrapeListingPage(p, filters, catalogType, PRIORITY.catalog)));
+
+                let newCount = 0;
+                let emptyPages = 0;
+                for (const { items: pageItems, degraded: pageDegraded } of pages) {
+                    if (pageDegraded) degraded = true;
+                    if (!pageItems || pageItems.length === 0) { emptyPages++; continue; }
+                    for (const it of pageItems) {
+                        if (it && it.id && !seen.has(it.id)) {
+                            seen.add(it.id);
+                            items.push(it);
+                            newCount++;
+                        }
                     }
                 }
+                pagesLoaded += pagesToLoad.length;
+
+                // If a whole batch produced nothing, we've reached the end of the listing
+                // (unless the pages failed validation, where "nothing" means broken selectors).
+                if (newCount === 0 || emptyPages === pagesToLoad.length) {
+                    exhausted = true;
+                }
+                series = await visibleSeries(items, blocked, target);
+                if (degraded) {
+                    // Serve what we have, but retry soon instead of keeping it for hours.
+                    catalogCache.set(globalCacheKey, { items, pagesLoaded, exhausted: false }, DEGRADED_TTL);
+                    console.warn(`Catalog ${globalCacheKey} built from pages that failed validation, caching it for ${DEGRADED_TTL / 60000} min only`);
+                    break;
+                }
+                catalogCache.set(globalCacheKey, { items, pagesLoaded, exhausted });
+                debug(`Now have ${items.length} unique episodes in ${series.length} series (pagesLoaded=${pagesLoaded}, exhausted=${exhausted})`);
+            } catch (error) {
+                // Nothing from a failed batch is cached (a browser crash has already been
+                // retried on a fresh browser by the pool), so the index never ends early.
+                console.error(`Error fetching site pages ${pagesToLoad.join(', ')}:`, error.message);
+                recordError('catalog');
+                break;
             }
-            pagesLoaded += pagesToLoad.length;
+        }
 
-            // If a whole batch produced nothing, we've reached the end of the listing.
-            if (newCount === 0 || emptyPages === pagesToLoad.length) {
-                exhausted = true;
+        const slice = series.slice(skip, skip + STREMIO_PAGE);
+        debug(`Returning ${slice.length} series (skip=${skip}, total cached=${series.length})`);
+        return slice;
+    }
+
+    // Re-scrape the first `pages` site pages of a catalog index and put them in front
+    // of what is already cached, so new and re-ranked titles show up without throwing
+    // away the deeper pages. Resolves to the number of items scraped (0 keeps the
+    // cached entry untouched).
+    async function refreshCatalog(catalogType, filters = {}, pages = REFRESH_PAGES) {
+        const key = catalogCacheKey(catalogType, filters);
+        return withKeyLock(key, async () => {
+            const fresh = [];
+            const seen = new Set();
+            const batchSize = LOW_MEMORY ? 1 : CONCURRENT_PAGES;
+            let pagesLoaded = 0;
+            let reachedEnd = false;
+            let degraded = false;
+            while (pagesLoaded < pages && !reachedEnd) {
+                const batch = [];
+                for (let p = pagesLoaded + 1; p <= Math.min(pages, pagesLoaded + batchSize); p++) batch.push(p);
+                const results = await Promise.all(batch.map(p => scrapeListingPage(p, filters, catalogType, PRIORITY.background)));
+                for (const { items: pageItems, degraded: pageDegraded } of results) {
+                    if (pageDegraded) degraded = true;
+                    if (!pageItems || pageItems.length === 0) reachedEnd = true;
+                    for (const it of pageItems || []) {
+                        if (it && it.id && !seen.has(it.id)) {
+                            seen.add(it.id);
+                            fresh.push(it);
+                        }
+                    }
+                }
+                pagesLoaded += batch.length;
             }
+            // Pages that failed validation never replace a good index.
+            if (fresh.length === 0 || degraded) return 0;
+
+            const old = catalogCache.get(key) || { items: [], pagesLoaded: 0, exhausted: false };
+            // The whole listing fit in the refreshed pages: it replaces the index outright.
+            const entry = reachedEnd
+                ? { items: fresh, pagesLoaded, exhausted: true }
+                : {
+                    items: fresh.concat(old.items.filter(i => !seen.has(i.id))),
+                    pagesLoaded: Math.max(old.pagesLoaded, pagesLoaded),
+                    exhausted: false
+                };
+            catalogCache.set(key, entry);
+            return fresh.length;
+        });
+    }
 
-            catalogCache.set(globalCacheKey, { items, pagesLoaded, exhausted });
-            debug(`Now have ${items.length} unique items (pagesLoaded=${pagesLoaded}, exhausted=${exhausted})`);
+    // One scheduler pass: refresh the head of each main catalog, then make sure the
+    // details of its top titles are cached and not about to expire.
+    let refreshRunning = false;
+    const refreshTimers = [];
+    // Set by close(): no new background work starts.
+    let closing = false;
+    async function runRefresh() {
+        if (closing) return;
+        if (refreshRunning) {
+            console.log('Background refresh still running, skipping this pass');
+            return;
+        }
+        if (hstreamLimiter.isOpen()) {
+            console.log('Background refresh skipped: hstream is rate-limiting us');
+            return;
+        }
+        const rssMb = Math.round(process.memoryUsage().rss / MB);
+        if (REFRESH_MAX_RSS_MB && rssMb > REFRESH_MAX_RSS_MB) {
+            console.log(`Background refresh skipped: ${rssMb} MB in use, budget is ${REFRESH_MAX_RSS_MB} MB`);
+            return;
+        }
+        refreshRunning = true;
+        const started = Date.now();
+        const summary = [];
+        refreshStudios();
+        try {
+            for (const catalogType of REFRESH_CATALOGS) {
+                const scraped = await refreshCatalog(catalogType);
+                const items = catalogCache.get(catalogCacheKey(catalogType))?.items || [];
+                const links = groupSeries(items).slice(0, REFRESH_DETAILS)
+                    .flatMap(series => series.episodes.map(e => e.link))
+                    .filter(link => needsRefresh(streamCache, `details-${link}`));
+                await mapLimit(links, CONCURRENT_DETAILS, link => fetchVideoDetails(link, { refresh: true, priority: PRIORITY.background }));
+                summary.push(`${catalogType}: ${scraped} items, ${links.length} details`);
+            }
+            recordSuccess('refresh');
+            console.log(`Background refresh done in ${((Date.now() - started) / 1000).toFixed(1)}s (${summary.join('; ')})`);
         } catch (error) {
-            console.error(`Error fetching site pages ${pagesToLoad.join(', ')}:`, error.message);
-            break;
+            console.error('Background refresh failed:', error.message);
+            recordError('refresh');
         } finally {
-            await closeBrowser(browser);
+            refreshRunning = false;
         }
     }
 
-    const slice = items.slice(skip, skip + STREMIO_PAGE);
-    debug(`Returning ${slice.length} items (skip=${skip}, total cached=${items.length})`);
-    return slice;
-}
+    function startRefreshScheduler() {
+        if (!REFRESH_INTERVAL) {
+            console.log('Background refresh disabled (REFRESH_INTERVAL=0)');
+            return;
+        }
+        console.log(`Background refresh every ${REFRESH_INTERVAL / 60000} min: first ${REFRESH_PAGES} pages of ${REFRESH_CATALOGS.join(', ')}, details of the top ${REFRESH_DETAILS} titles` +
+            (REFRESH_MAX_RSS_MB ? `, skipped above ${REFRESH_MAX_RSS_MB} MB` : ''));
+        // First pass shortly after startup, once the server is answering requests.
+        refreshTimers.push(setTimeout(runRefresh, 30 * 1000).unref());
+        refreshTimers.push(setInterval(runRefresh, REFRESH_INTERVAL).unref());
+    }
 
-async function fetchPage(browser, pageNum, search = '', catalogType = 'popular') {
-    const page = await browser.newPage();
-    
-    try {
-        // Set longer timeouts
-        await page.setDefaultNavigationTimeout(60000);
-        await page.setDefaultTimeout(60000);
-        
-        // Set up request interception to block unnecessary resources
-        await page.setRequestInterception(true);
-        page.on('request', (request) => {
-            const resourceType = request.resourceType();
-            if (resourceType === 'image' || resourceType === 'stylesheet' || resourceType === 'font') {
-                request.abort();
-            } else {
-                request.continue();
+    // hstream search URL for one listing page of a catalog/search/genre/studio.
+    function listingUrl(pageNum, filters = {}, catalogType = 'popular') {
+        const { search = '', genre = '', studio = '' } = filters;
+        const tagParam = (genre ? `&tags%5B0%5D=${encodeURIComponent(tagSlug(genre))}` : '') +
+                         (studio ? `&studios%5B0%5D=${encodeURIComponent(studioSlug(studio))}` : '');
+        return search ? 
+            `${HSTREAM_URL}/search?q=${encodeURIComponent(search)}${tagParam}&page=${pageNum}&view=poster` : 
+            `${HSTREAM_URL}/search?view=poster&order=${catalogType === 'recent' ? 'recently-released' : 'view-count'}${tagParam}&page=${pageNum}`;
+    }
+
+    // Fetch one listing page through the configured scraper path(s); the browser
+    // fallback queues in the page pool at `priority`.
+    // Resolves { items, strategy, degraded }; degraded pages failed selector
+    // validation on every path tried and must not be cached as if they were good.
+    async function scrapeListingPage(pageNum, filters, catalogType, priority) {
+        let fromHttp = null;
+        if (SCRAPER !== 'browser') {
+            const endHttp = fetchPageSeconds.startTimer({ path: 'http' });
+            fromHttp = await fetchPageHttp(pageNum, filters, catalogType);
+            endHttp({ outcome: !fromHttp ? 'failed' : fromHttp.degraded ? 'degraded' : 'ok' });
+            if (fromHttp && !fromHttp.degraded) {
+                debug(`Listing page ${pageNum} served by http via ${fromHttp.strategy} (${fromHttp.items.length} items)`);
+                if (fromHttp.items.length) recordSuccess('catalog');
+                return fromHttp;
             }
-        });
+            recordError('catalog-http');
+            if (SCRAPER === 'http') return fromHttp || { items: [], strategy: null, degraded: false };
+            debug(`Listing page ${pageNum}: HTTP path failed, falling back to the browser`);
+        }
+        const endBrowser = fetchPageSeconds.startTimer({ path: 'browser' });
+        const fromBrowser = await fetchPage(pagePool, pageNum, filters, catalogType, priority);
+        endBrowser({ outcome: fromBrowser.degraded ? 'degraded' : fromBrowser.items.length ? 'ok' : 'empty' });
+        debug(`Listing page ${pageNum} served by browser via ${fromBrowser.strategy} (${fromBrowser.items.length} items)`);
+        if (fromBrowser.items.length && !fromBrowser.degraded) recordSuccess('catalog');
+        // Both paths degraded: keep whichever salvaged more.
+        if (fromBrowser.degraded && fromHttp && fromHttp.items.length > fromBrowser.items.length) return fromHttp;
+        return fromBrowser;
+    }
+
+    // Lightweight listing path: the cards are server-rendered, so a plain GET is enough.
+    // Resolves null when the result can't be trusted and the browser should try instead.
+    async function fetchPageHttp(pageNum, filters = {}, catalogType = 'popular') {
+        const url = listingUrl(pageNum, filters, catalogType);
+        debug(`Fetching catalog over HTTP from: ${url}`);
+        try {
+            const res = await httpRequest(url);
+            if (THROTTLE_STATUSES.includes(res.status)) throw throttledResponse(res.status, url);
+            if (res.status !== 200) {
+                debug(`HTTP listing page ${pageNum} returned status ${res.status}`);
+                return null;
+            }
+            const result = extractListing(res.body, url);
+            // An empty first page points at changed markup (or a block page) rather than
+            // the end of the listing.
+            if (result.items.length === 0 && pageNum === 1) return null;
+            return result;
+        } catch (error) {
+            // Being rate-limited is not "no results": let the caller stop the batch.
+            if (isThrottled(error)) throw error;
+            debug(`HTTP listing page ${pageNum} failed:`, error.message);
+            return null;
+        }
+    }
+
+    // Load one listing page in a pooled browser tab and extract its cards.
+    async function fetchPage(pool, pageNum, filters = {}, catalogType = 'popular', priority = PRIORITY.catalog) {
+        try {
+            return await pool.run(async page => {
+                // Set longer timeouts
+                await page.setDefaultNavigationTimeout(60000);
+                await page.setDefaultTimeout(60000);
+
+                // Set up request interception to block unnecessary resources
+                await page.setRequestInterception(true);
+                page.on('request', (request) => {
+                    const resourceType = request.resourceType();
+                    if (resourceType === 'image' || resourceType === 'stylesheet' || resourceType === 'font') {
+                        request.abort();
+                    } else {
+                        request.continue();
+                    }
+                });
+
+                await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
+
+                const baseUrl = listingUrl(pageNum, filters, catalogType);
+
+                debug(`Fetching catalog from: ${baseUrl}`);
+
+                // Try to load the page with retries, backing off 2s, then 4s. Throttling
+                // answers are paced by hstreamLimiter instead, which the next attempt waits on.
+                const attempts = 3;
+                let response;
+                for (let attempt = 1; attempt <= attempts; attempt++) {
+                    try {
+                        response = await limitedGoto(page, baseUrl, { 
+                            waitUntil: 'domcontentloaded',
+                            timeout: 60000 
+                        });
+                        if (response.status() === 200) break;
+                        if (attempt === attempts) break;
+                        gotoRetries.inc();
+                        if (!THROTTLE_STATUSES.includes(response.status())) await delay(1000 * 2 ** attempt);
+                    } catch (error) {
+                        if (isThrottled(error)) throw error;
+                        debug(`Error loading page ${pageNum}, retries left: ${attempts - attempt}:`, error.message);
+                        if (attempt === attempts) throw error;
+                        gotoRetries.inc();
+                        await delay(1000 * 2 ** attempt);
+                    }
+                }
 
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
+                if (response && THROTTLE_STATUSES.includes(response.status())) throw throttledResponse(response.status(), baseUrl);
+                if (!response || response.status() !== 200) {
+                    debug(`Page ${pageNum} returned status ${response?.status() || 'unknown'}`);
+                    return { items: [], strategy: null, degraded: false };
+                }
+
+                // Wait for the actual episode links (present in the server-rendered HTML);
+                // lighter and faster than waiting for the grid container to become "visible".
+                try {
+                    await page.waitForSelector('a[href*="/hentai/"]', { timeout: 20000 });
+                } catch (error) {
+                    debug(`Timeout waiting for episode links on page ${pageNum}, trying to continue anyway`);
+                }
+
+                // Extract items even if some elements are not fully loaded
+                return extractListing(await page.content(), baseUrl);
+            }, { priority, label: `listing page ${pageNum}` });
+        } catch (error) {
+            // Neither is an empty page: the caller must not take it for the end of the listing.
+            if (isThrottled(error) || isBrowserCrash(error)) throw error;
+            console.error(`Error processing page ${pageNum}:`, error);
+            recordError('catalog-browser');
+            return { items: [], strategy: null, degraded: false };
+        }
+    }
+
+    // Scrape the studio filter list ({ name, slug }) from the site's search page.
+    // Cached for a day; until it lands the "By Studio" catalog offers KNOWN_STUDIOS.
+    async function fetchStudios() {
+        const cached = catalogCache.get('studios');
+        if (cached) return cached;
 
-        const baseUrl = search ? 
-            `https://hstream.moe/search?q=${encodeURIComponent(search)}&page=${pageNum}&view=poster` : 
-            `https://hstream.moe/search?view=poster&order=${catalogType === 'recent' ? 'recently-released' : 'view-count'}&page=${pageNum}`;
+        let studios = [];
+        try {
+            if (SCRAPER !== 'browser') {
+                debug(`Fetching studio list over HTTP from: ${STUDIO_INDEX_URL}`);
+                studios = parseStudios(await httpGet(STUDIO_INDEX_URL), STUDIO_INDEX_URL);
+            }
+        } catch (error) {
+            debug('HTTP studio list failed:', error.message);
+        }
 
-        debug(`Fetching catalog from: ${baseUrl}`);
-        
-        // Try to load the page with retries
-        let retries = 3;
-        let response;
-        while (retries > 0) {
+        if (studios.length === 0 && SCRAPER !== 'http') {
             try {
-                response = await page.goto(baseUrl, { 
-                    waitUntil: 'domcontentloaded',
-                    timeout: 60000 
-                });
-                if (response.status() === 200) break;
-                retries--;
-                if (retries > 0) await delay(2000); // Wait 2 seconds before retry
+                studios = await pagePool.run(async page => {
+                    await page.setRequestInterception(true);
+                    page.on('request', request => {
+                        const t = request.resourceType();
+                        if (t === 'image' || t === 'stylesheet' || t === 'font' || t === 'media') {
+                            request.abort();
+                        } else {
+                            request.continue();
+                        }
+                    });
+                    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+
+                    debug(`Fetching studio list from: ${STUDIO_INDEX_URL}`);
+                    await limitedGoto(page, STUDIO_INDEX_URL, { waitUntil: 'domcontentloaded', timeout: 60000 });
+                    return parseStudios(await page.content(), STUDIO_INDEX_URL);
+                }, { priority: PRIORITY.background, label: 'studio list' });
             } catch (error) {
-                debug(`Error loading page ${pageNum}, retries left: ${retries-1}:`, error.message);
-                retries--;
-                if (retries === 0) throw error;
+                console.error('Studio list error:', error.message);
+                recordError('studios');
+            }
+        }
+
+        if (studios.length === 0) {
+            debug('No studios found on the index page, keeping the built-in list');
+            return null;
+        }
+        studios.sort((a, b) => a.name.localeCompare(b.name));
+        debug(`Found ${studios.length} studios`);
+        catalogCache.set('studios', studios, 24 * 60 * 60 * 1000);
+        return studios;
+    }
+
+    // Kick off a studio scrape in the background (at most one at a time, and at most
+    // once an hour if it keeps failing). Run by the background refresh, never by a
+    // request: serving the manifest must not start Chrome.
+    let studiosRefreshing = null;
+    let studiosAttemptedAt = 0;
+    function refreshStudios() {
+        if (catalogCache.get('studios') || studiosRefreshing) return;
+        if (Date.now() - studiosAttemptedAt < 60 * 60 * 1000) return;
+        studiosAttemptedAt = Date.now();
+        studiosRefreshing = fetchStudios().finally(() => { studiosRefreshing = null; });
+    }
+
+    function studioSlug(name) {
+        const known = (catalogCache.get('studios') || []).find(s => s.name === name || s.slug === name);
+        if (known) return known.slug;
+        return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    }
+
+    // Manifest as served for one install: only the catalogs it enabled, with the
+    // live studio list swapped in when available.
+    function currentManifest(config = DEFAULT_CONFIG) {
+        const studios = catalogCache.get('studios');
+        return {
+            ...manifest,
+            catalogs: manifest.catalogs
+                .filter(c => config.catalogs.includes(c.id))
+                .map(c => c.id !== 'hstream-studio' || !studios ? c : {
+                    ...c,
+                    extra: c.extra.map(e => e.name === 'studio' ? { ...e, options: studios.map(s => s.name) } : e)
+                })
+        };
+    }
+
+    // Meta links that open the "By Studio" catalog filtered to this studio.
+    // Stremio matches the addon by its install URL, so the config segment must be kept.
+    function studioLinks(studio, config) {
+        if (!studio || (config && !config.catalogs.includes('hstream-studio'))) return [];
+        const manifestUrl = encodeURIComponent(`${addonBaseUrl(config)}/manifest.json`);
+        return [{
+            name: studio,
+            category: 'Studio',
+            url: `stremio:///discover/${manifestUrl}/series/hstream-studio?studio=${encodeURIComponent(studio)}`
+        }];
+    }
+
+    // Lightweight detail path: parse the server-rendered page. Meta is returned even
+    // when the page has no <source> (one the player script fills in itself); the
+    // browser path is then tried for the video.
+    async function fetchDetailsHttp(url) {
+        debug(`Fetching video details over HTTP from: ${url}`);
+        const res = await httpRequest(url);
+        if (THROTTLE_STATUSES.includes(res.status)) throw throttledResponse(res.status, url);
+        if (res.status !== 200) throw new Error(`HTTP ${res.status} for ${url}`);
+        return parseDetails(res.body, url);
+    }
+
+    async function fetchDetailsBrowser(url, priority = PRIORITY.meta) {
+        return pagePool.run(async page => {
+            // Block heavy resources for speed; we only need the rendered DOM.
+            // The <source>/<a .ass> elements are server-rendered, so blocking
+            // images/css/fonts/the actual video does not remove them.
+            await page.setRequestInterception(true);
+            page.on('request', request => {
+                const t = request.resourceType();
+                if (t === 'image' || t === 'stylesheet' || t === 'font' || t === 'media') {
+                    request.abort();
+                } else {
+                    request.continue();
+                }
+            });
+
+            await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+
+            debug(`Fetching video details from: ${url}`);
+            const response = await limitedGoto(page, url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+            if (response && THROTTLE_STATUSES.includes(response.status())) throw throttledResponse(response.status(), url);
+
+            // The quality <source> tags are injected by the player JS shortly after load,
+            // so wait for an actual <source src> rather than the (initially empty) <video>.
+            try {
+                await page.waitForSelector('video source[src]', { timeout: 30000 });
+            } catch (e) {
+                debug('No <source> appeared in time, extracting whatever is present');
                 await delay(2000);
             }
+
+            // Extract every quality <source>, every subtitle (.ass/.srt/.vtt) link, and meta.
+            return parseDetails(await page.content(), url);
+        }, { priority, label: `details of ${url}` });
+    }
+
+    // `refresh` skips the cache lookup (the scheduler re-scraping entries before expiry);
+    // `priority` places a browser fallback in the page pool's queue.
+    async function fetchVideoDetails(url, { refresh = false, priority = refresh ? PRIORITY.background : PRIORITY.meta } = {}) {
+        // Correzione URL duplicato
+        if (url.includes('hstream.moehttps://')) {
+            url = url.replace('hstream.moehttps://', 'https://');
         }
 
-        if (!response || response.status() !== 200) {
-            debug(`Page ${pageNum} returned status ${response?.status() || 'unknown'}`);
-            return [];
+        const cacheKey = `details-${url}`;
+        if (!refresh) {
+            const cached = streamCache.get(cacheKey);
+            if (cached) {
+                refreshIfExpiring(streamCache, cacheKey, () => fetchVideoDetails(url, { refresh: true }));
+                return cached;
+            }
+            const stale = staleWhileThrottled(streamCache, cacheKey);
+            if (stale) return stale;
         }
 
-        // Wait for the actual episode links (present in the server-rendered HTML);
-        // lighter and faster than waiting for the grid container to become "visible".
+        // Two users opening the same episode share a single scrape.
+        const result = await singleFlight(cacheKey, () => scrapeVideoDetails(url, cacheKey, priority));
+        // hstream started refusing us during the scrape: an older copy beats nothing.
+        return scrapeFailed(result) ? staleWhileThrottled(streamCache, cacheKey) || result : result;
+    }
+
+    async function scrapeVideoDetails(url, cacheKey, priority) {
+        const endTimer = fetchDetailsSeconds.startTimer();
         try {
-            await page.waitForSelector('a[href*="/hentai/"]', { timeout: 20000 });
-        } catch (error) {
-            debug(`Timeout waiting for episode links on page ${pageNum}, trying to continue anyway`);
-        }
-
-        // Extract items even if some elements are not fully loaded
-        const pageItems = await page.evaluate((catalogType) => {
-            const results = [];
-            const containers = [
-                ...document.querySelectorAll('div[wire\\:key^="episode-"]'),
-                ...document.querySelectorAll('div.grid > div'),
-                ...document.querySelectorAll('div.grid > a'),
-                ...document.querySelectorAll('div[role="grid"] > div'),
-                ...document.querySelectorAll('div.grid div[role="gridcell"]'),
-                ...document.querySelectorAll('div.relative.p-1.mb-8.w-full'),
-                ...document.querySelectorAll('div.grid div.relative')
-            ];
-            
-            containers.forEach((item, index) => {
+            let data = null;
+            let servedBy = 'http';
+            let degraded = false;
+            if (SCRAPER !== 'browser') {
+                data = await fetchDetailsHttp(url).catch(error => {
+                    debug(`HTTP details scrape failed for ${url}:`, error.message);
+                    recordError('details-http');
+                    return null;
+                });
+            }
+            if ((!data || data.sources.length === 0 || data.degraded) && SCRAPER !== 'http') {
+                if (SCRAPER === 'auto') debug(`HTTP path found no video for ${url}, falling back to the browser`);
                 try {
-                    const link = item.tagName === 'A' ? item : item.querySelector('a');
-                    if (!link || !link.href) return;
-                    
-                    const href = link.href;
-                    if (!href.includes('/hentai/')) return;
-                    
-                    const episodeMatch = href.match(/-(\d+)$/);
-                    const episodeNumber = episodeMatch ? episodeMatch[1] : null;
-                    
-                    const urlParts = href.split('/hentai/');
-                    if (urlParts.length < 2) return;
-                    
-                    const rawId = urlParts[1];
-                    const baseId = rawId.replace(/\/?(?:-watch)?(?:-online)?(?:-free)?(?:-streaming)?(?:-sub)?(?:-eng)?(?:-ita)?(?:-\d+)?$/, '');
-                    const id = episodeNumber ? `${baseId}-${episodeNumber}` : baseId;
-                    if (!id) return;
-                    
-                    // Include catalog type in the ID
-                    const fullId = `hstream:${catalogType}:${id}`;
-                    
-                    const titleCandidates = [
-                        link.querySelector('div.absolute p.text-sm'),
-                        link.querySelector('p.text-sm'),
-                        item.querySelector('div.absolute p.text-sm'),
-                        item.querySelector('p.text-sm'),
-                        link.querySelector('[title]'),
-                        item.querySelector('[title]'),
-                        link.querySelector('img[alt]'),
-                        item.querySelector('img[alt]')
-                    ];
-                    
-                    let title = 'Unknown Title';
-                    for (const candidate of titleCandidates) {
-                        if (candidate) {
-                            const text = candidate.textContent?.trim() || 
-                                       candidate.getAttribute('title')?.trim() ||
-                                       candidate.getAttribute('alt')?.trim();
-                            if (text) {
-                                title = text;
-                                break;
-                            }
-                        }
-                    }
-                    
-                    // Append the episode number only if the title doesn't already end with it.
-                    if (episodeMatch && !new RegExp(`-\\s*${episodeMatch[1]}\\s*$`).test(title)) {
-                        title = `${title} - ${episodeMatch[1]}`;
+                    const fromBrowser = await fetchDetailsBrowser(url, priority);
+                    // Keep the HTTP result if the browser's page validated no better.
+                    if (!data || !fromBrowser.degraded || data.degraded) {
+                        data = fromBrowser;
+                        servedBy = 'browser';
                     }
+                } catch (error) {
+                    // Still worth returning the HTTP meta if we have it.
+                    if (!data) throw error;
+                    console.error(`Browser details scrape failed for ${url}:`, error.message);
+                    recordError('details-browser');
+                    degraded = true;
+                }
+            }
+            if (!data) throw new Error(`Could not scrape ${url}`);
+            // Every selector strategy failed on this page: serve it, but don't cache it.
+            if (data.degraded) degraded = true;
+
+            // Build Stremio subtitle objects, routed through our own conversion endpoint
+            // (hstream serves .ass, which Stremio cannot render). Each entry lists every
+            // rendition /subs/ can produce for it; url is the one used by default.
+            const serverUrl = getServerURL();
+            const subtitles = data.subtitles.map(sub => {
+                const absUrl = absoluteUrl(sub.url);
+                learnSubtitleHost(absUrl);
+                const langCode = LANG_MAP[sub.langName] || 'eng';
+                const enc = Buffer.from(absUrl).toString('base64url');
+                const format = ['srt', 'vtt'].includes(sub.format) ? sub.format : 'ass';
+                const renditions = {
+                    vtt: `${serverUrl}/subs/${enc}.vtt`,
+                    srt: `${serverUrl}/subs/${enc}.srt`
+                };
+                if (format === 'ass') renditions.ass = `${serverUrl}/subs/${enc}.ass`;
+                return {
+                    id: `${langCode}${sub.isAuto ? '-auto' : ''}`,
+                    url: format === 'ass' ? renditions.vtt : renditions[format],
+                    lang: langCode,
+                    format,
+                    renditions
+                };
+            });
 
-                    const imgCandidates = [
-                        link.querySelector('img'),
-                        item.querySelector('img')
-                    ];
+            // One source per quality, best first; turned into Stremio streams per
+            // request by buildStreams() so each install's preferences apply.
+            let sources = data.sources
+                .map(s => ({ url: s.url, size: s.size, info: qualityInfo(s.size) }))
+                .sort((a, b) => b.info.rank - a.info.rank);
+            if (PROBE_SOURCES) sources = await mapLimit(sources, 4, describeSource);
+
+            debug(`Found ${sources.length} quality sources with ${subtitles.length} subtitle tracks for "${data.title}" (served by ${servedBy} via ${data.strategy})`);
+
+            const result = {
+                title: data.title,
+                japaneseTitle: data.japaneseTitle,
+                description: data.description,
+                releaseInfo: data.releaseInfo,
+                studio: data.studio,
+                genres: data.genres,
+                viewCount: data.viewCount,
+                episodeNumber: data.episodeNumber,
+                thumbnail: data.thumbnail,
+                episodes: data.episodes,
+                subtitles,
+                sources,
+                servedBy,
+                partial: degraded
+            };
 
-                    let poster = '';
-                    for (const img of imgCandidates) {
-                        if (img) {
-                            poster = img.src || img.getAttribute('data-src') || '';
-                            if (poster) break;
-                        }
-                    }
+            // A meta-only result from a failed fallback is not cached, so the next request
+            // retries; a page without any video is only kept briefly, in case it was a hiccup.
+            if (!degraded) streamCache.set(cacheKey, result, sources.length ? null : DEGRADED_TTL);
+            if (sources.length) recordSuccess('details');
+            endTimer({ served_by: degraded ? 'degraded' : servedBy });
+            // Remember the title's full tag list for the catalog blocklist.
+            const baseId = url.split('/hentai/')[1]?.replace(/\/$/, '').replace(/-\d+$/, '');
+            if (baseId) metaCache.set(`tags-${baseId}`, (data.genres || []).map(tagSlug));
+            return result;
+        } catch (error) {
+            if (isThrottled(error)) console.error(`Video details of ${url} not scraped:`, error.message);
+            else console.error('Video details error:', error);
+            recordError('details');
+            endTimer({ served_by: 'failed' });
+            return { title: 'Unknown', sources: [], subtitles: [], episodes: [] };
+        }
+    }
 
-                    if (poster && !poster.startsWith('http')) {
-                        poster = `https://hstream.moe${poster}`;
-                    }
+    // /proxy/ URL for a CDN video. The file name is only there for players that
+    // look at the extension.
+    function proxiedUrl(url) {
+        const name = new URL(url).pathname.split('/').pop() || 'video.mp4';
+        return `${getServerURL()}/proxy/${createProxyToken(url)}/${encodeURIComponent(name)}`;
+    }
 
-                    // Card badges: either the quality (e.g. "4k | FHD 48fps") and/or
-                    // content tags (e.g. "Scat + Horror"), depending on the title.
-                    const badgeEls = [...link.querySelectorAll('div.rounded-full, span.rounded-full')];
-                    const badges = [...new Set(
-                        badgeEls.map(b => b.textContent.replace(/\s+/g, ' ').trim())
-                                .filter(t => t && t.length <= 50 && !/^\d+$/.test(t))
-                    )];
-                    const qualityBadge = badges.join(' | ');
-                    // View count next to the eye icon.
-                    const eye = link.querySelector('i.fa-eye') || item.querySelector('i.fa-eye');
-                    const views = eye?.parentElement?.textContent.trim() || '';
-
-                    results.push({
-                        id: fullId,
-                        type: 'movie',
-                        name: title,
-                        poster: poster,
-                        posterShape: 'poster',
-                        link: href,
-                        episodeNumber: episodeNumber,
-                        quality: qualityBadge,
-                        views: views
-                    });
-                } catch (err) {
-                    console.error(`Error processing item ${index}:`, err);
-                }
-            });
-            return results;
-        }, catalogType);
+    // Epoch ms a signed CDN link stops working at (?expires=, seconds or ms), or null.
+    function linkExpiry(url) {
+        try {
+            const params = new URL(url).searchParams;
+            const value = Number(params.get('expires') || params.get('expire') || params.get('exp'));
+            if (!value) return null;
+            return value < 1e12 ? value * 1000 : value;
+        } catch (e) {
+            return null;
+        }
+    }
 
-        return pageItems;
-    } catch (error) {
-        console.error(`Error processing page ${pageNum}:`, error);
-        return [];
-    } finally {
-        if (page) await page.close().catch(() => {});
+    // Whether a scraped CDN link can still be played. Only a definite answer counts
+    // against it: a CDN that's slow or unreachable from here may work for the player.
+    async function linkWorks(url) {
+        const expires = linkExpiry(url);
+        if (expires !== null && expires - 60 * 1000 < Date.now()) {
+            linkChecks.inc({ result: 'expired' });
+            return false;
+        }
+        if (checkedLinks.get(url)) return true;
+        const status = await probeStream(url, STREAM_HEADERS, { timeout: STREAM_PROBE_TIMEOUT });
+        const dead = [403, 404, 410].includes(status);
+        linkChecks.inc({ result: dead ? 'dead' : status ? 'ok' : 'unreachable' });
+        if (!dead) checkedLinks.set(url, true);
+        return !dead;
     }
-}
 
-async function fetchVideoDetails(url) {
-    // Correzione URL duplicato
-    if (url.includes('hstream.moehttps://')) {
-        url = url.replace('hstream.moehttps://', 'https://');
+    // A source with its file size (bytes), container and codec added, as far as a
+    // probe finds them; unchanged if the CDN doesn't answer.
+    async function describeSource(source) {
+        const probe = await probeMedia(source.url, STREAM_HEADERS, { timeout: STREAM_PROBE_TIMEOUT });
+        sourceProbes.inc({ result: !probe ? 'failed' : probe.size && probe.codec ? 'ok' : 'partial' });
+        if (!probe) return source;
+        // It answered just now: no need to check it again before handing it out.
+        checkedLinks.set(source.url, true);
+        return { ...source, bytes: probe.size, container: probe.container, codec: probe.codec };
     }
 
-    const cacheKey = `details-${url}`;
-    const cached = streamCache.get(cacheKey);
-    if (cached) return cached;
+    // Stand-in stream for an episode we can't play right now, so the user sees why
+    // instead of an empty list or a link that fails in the player.
+    function unavailableStream(link, reason) {
+        unavailableStreams.inc({ reason });
+        const why = {
+            'rate-limited': 'hstream is rate-limiting requests',
+            'scrape-failed': 'the episode page could not be loaded',
+            'links-expired': 'the video links expired and could not be renewed'
+        }[reason];
+        return {
+            name: 'HStream\n⚠ Unavailable',
+            title: `Temporarily unavailable: ${why}.\nTry again in a few minutes, or open the episode on hstream.`,
+            externalUrl: link
+        };
+    }
 
-    let page;
-    let browser;
-    try {
-        browser = await getBrowser();
-        page = await browser.newPage();
-
-        // Block heavy resources for speed; we only need the rendered DOM.
-        // The <source>/<a .ass> elements are server-rendered, so blocking
-        // images/css/fonts/the actual video does not remove them.
-        await page.setRequestInterception(true);
-        page.on('request', request => {
-            const t = request.resourceType();
-            if (t === 'image' || t === 'stylesheet' || t === 'font' || t === 'media') {
-                request.abort();
-            } else {
-                request.continue();
+    // Cached details link subtitles at the instance root; on private instances /subs/
+    // sits behind the install's token like every other addon route.
+    function installSubtitleUrl(url, config) {
+        const root = `${getServerURL()}/subs/`;
+        return config.accessToken && url.startsWith(root) ? `${installRoot(config.accessToken)}/subs/${url.slice(root.length)}` : url;
+    }
+
+    // Build the Stremio streams for a details result, applying the install's
+    // quality cap, 48fps filter and preferred subtitle language and format.
+    function buildStreams(details, config = DEFAULT_CONFIG) {
+        const subtitles = [...(details.subtitles || [])].sort((a, b) =>
+            (b.lang === config.subtitleLang) - (a.lang === config.subtitleLang) ||
+            a.id.endsWith('-auto') - b.id.endsWith('-auto'))
+            // Entries cached before renditions existed only carry url.
+            .map(sub => ({ id: sub.id, url: installSubtitleUrl(sub.renditions?.[config.subtitleFormat] || sub.url, config), lang: sub.lang }));
+
+        let sources = (details.sources || []).filter(s => !(config.hide48fps && s.info.interpolated));
+        const capped = sources.filter(s => !s.info.height || s.info.height <= config.maxQuality);
+        // If the cap filters out everything, fall back to the lowest quality available.
+        sources = capped.length ? capped : sources.slice(-1);
+
+        return sources.map(s => {
+            // Size and codec are only known for sources probed when scraped.
+            const facts = [formatBytes(s.bytes), s.codec, s.info.interpolated ? '48fps (interpolated)' : null].filter(Boolean);
+            const stream = {
+                name: `HStream\n${s.info.label}`,
+                title: details.title +
+                    (facts.length ? `\n🎞 ${facts.join(' · ')}` : '') +
+                    (subtitles.length ? `\n🗨 ${subtitles.length} sub` : ''),
+                url: config.proxyStreams ? proxiedUrl(s.url) : s.url,
+                behaviorHints: { bingeGroup: `hstream-${s.size || 'default'}`, filename: sourceFilename(details.title, s) }
+            };
+            if (s.bytes) stream.behaviorHints.videoSize = s.bytes;
+            if (s.codec) stream.behaviorHints.videoCodec = s.codec;
+            if (s.info.interpolated) stream.behaviorHints.interpolated = true;
+            // Direct CDN links need the hstream headers, which browsers can't set:
+            // let clients that can send them do so, and keep Stremio Web off them.
+            if (!config.proxyStreams) {
+                stream.behaviorHints.notWebReady = true;
+                stream.behaviorHints.proxyHeaders = { request: STREAM_HEADERS };
             }
+            if (subtitles.length) stream.subtitles = subtitles;
+            return stream;
         });
+    }
 
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+    // A series as seen by any listing scraped so far (catalogs, searches, genres,
+    // studios). Purely a cache lookup: it never loads pages.
+    function findCachedSeries(baseId) {
+        for (const key of catalogCache.keys()) {
+            const items = catalogCache.peek(key)?.items || [];
+            if (items.some(i => i.baseId === baseId)) {
+                return groupSeries(items).find(s => s.baseId === baseId);
+            }
+        }
+        return null;
+    }
 
-        debug(`Fetching video details from: ${url}`);
-        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    // hstream page of one episode. Titles without numbered episodes live at the bare slug.
+    function episodeUrl(baseId, number) {
+        return number ? `${HSTREAM_URL}/hentai/${baseId}-${number}` : `${HSTREAM_URL}/hentai/${baseId}`;
+    }
 
-        // The quality <source> tags are injected by the player JS shortly after load,
-        // so wait for an actual <source src> rather than the (initially empty) <video>.
-        try {
-            await page.waitForSelector('video source[src]', { timeout: 30000 });
-        } catch (e) {
-            debug('No <source> appeared in time, extracting whatever is present');
-            await delay(2000);
+
+    // Details of one episode, straight from its URL: the listing's link if a cached
+    // listing has it, the reconstructed episode URL otherwise.
+    async function fetchEpisode(baseId, number, priority = PRIORITY.meta) {
+        const listed = findCachedSeries(baseId)?.episodes.find(e => e.number === number);
+        if (listed) return { link: listed.link, details: await fetchVideoDetails(listed.link, { priority }) };
+
+        let link = episodeUrl(baseId, number);
+        let details = await fetchVideoDetails(link, { priority });
+        if (scrapeFailed(details) && number === 1) {
+            link = episodeUrl(baseId, null);
+            details = await fetchVideoDetails(link, { priority });
         }
+        return { link, details };
+    }
 
-        // Extract every quality <source>, every subtitle (.ass/.srt/.vtt) link, and meta.
-        const data = await page.evaluate(() => {
-            // --- video sources (one per quality) ---
-            const sources = [];
-            const seen = new Set();
-            document.querySelectorAll('video source[src]').forEach(source => {
-                const src = source.getAttribute('src');
-                if (!src || !/^https?:/i.test(src) || seen.has(src)) return;
-                seen.add(src);
-                sources.push({
-                    url: src,
-                    size: source.getAttribute('size') || source.getAttribute('label') || source.getAttribute('title') || '',
-                    mode: source.getAttribute('mode') || ''
-                });
-            });
+    // Everything a series meta needs, resolved without walking any catalog: poster and
+    // episode list from a cached listing when one has seen the title, the rest from
+    // the first episode's page (which links its sibling episodes).
+    async function resolveSeries(baseId) {
+        const listed = findCachedSeries(baseId);
+        const firstNumber = listed ? listed.episodes[0].number : 1;
+        const { link, details: first } = await fetchEpisode(baseId, firstNumber);
+        if (scrapeFailed(first) && !listed) return null;
+
+        const self = { number: parseInt(first.episodeNumber, 10) || firstNumber, link, thumbnail: first.thumbnail };
+        return {
+            id: `hstream:${baseId}`,
+            baseId,
+            name: listed?.name || first.title.replace(/\s*-\s*\d+\s*$/, ''),
+            poster: listed?.poster || first.thumbnail,
+            first,
+            firstNumber: self.number,
+            episodes: mergeEpisodes(listed ? listed.episodes : [self], first.episodes)
+        };
+    }
 
-            // --- subtitles: direct download links (.ass / .srt / .vtt) ---
-            const subtitles = [];
-            const subSeen = new Set();
-            document.querySelectorAll('a[href*=".ass"], a[href*=".srt"], a[href*=".vtt"]').forEach(a => {
-                const href = a.getAttribute('href');
-                if (!href || subSeen.has(href)) return;
-                subSeen.add(href);
-                // Language: prefer visible text, fall back to the download filename.
-                const text = (a.textContent || '').trim();
-                const dl = a.getAttribute('download') || '';
-                const langName = (text.match(/[A-Za-z]+/) || dl.match(/-([A-Za-z]+)\.(?:ass|srt|vtt)$/i) || [])[0] ||
-                                 (dl.match(/-([A-Za-z]+)\.(?:ass|srt|vtt)$/i) || [])[1] || 'English';
-                const isAuto = text.toLowerCase().includes('auto');
-                const format = (href.split('.').pop() || '').toLowerCase().split(/[?#]/)[0];
-                subtitles.push({ url: href, langName: langName.trim(), isAuto, format });
-            });
+    // Series matching `search` in the crawled index, in the shape fetchCatalog
+    // returns; null without an index or when nothing in it is left after the
+    // filters, so hstream's own search gets a go. Titles the crawl couldn't open
+    // have no tags or studio yet, so they're left out whenever those have to be
+    // checked.
+    async function searchIndexed(search, { genre = '', studio = '' } = {}, blockedTags = []) {
+        await indexLoaded;
+        if (!siteSearch) return null;
+        const blocked = new Set(blockedTags.map(tagSlug));
+        const mustCheck = blocked.size || genre || studio;
+        const found = siteSearch.search(search)
+            .filter(entry => !(mustCheck && entry.detailsMissing))
+            .filter(entry => !entry.tags.some(tag => blocked.has(tagSlug(tag))))
+            .filter(entry => !genre || entry.tags.some(tag => tagSlug(tag) === tagSlug(genre)))
+            .filter(entry => !studio || (entry.studio && studioSlug(entry.studio) === studioSlug(studio)))
+            .map(entry => ({
+                id: `hstream:${entry.baseId}`,
+                baseId: entry.baseId,
+                name: entry.title,
+                poster: entry.poster,
+                episodes: entry.episodes,
+                studio: entry.studio,
+                released: entry.released
+            }));
+        return found.length ? found : null;
+    }
 
-            // --- meta ---
-            const title = document.querySelector('h1')?.textContent.trim() ||
-                          document.title.replace(' - HStream', '').replace(/in 4k.*$/, '').trim();
-            const japaneseTitle = document.querySelector('h2.inline')?.textContent.trim();
-            const description = document.querySelector('meta[name="description"]')?.content ||
-                                document.querySelector('meta[property="og:description"]')?.content ||
-                                document.querySelector('.text-gray-800.dark\\:text-gray-200.leading-tight')?.textContent.trim() ||
-                                '';
-            const releaseInfo = document.querySelector('a[data-te-toggle="tooltip"][title*="Released"]')?.textContent
-                                .match(/\d{4}-\d{2}-\d{2}/)?.[0];
-            const studio = document.querySelector('a[href*="studios"], a[href*="studio"], a[href*="brand"]')?.textContent.trim();
-            // Genres/tags links look like ?tags[0]=big-boobs . Drop the pure quality
-            // tags (4k / 48fps) since quality is already a separate stream choice.
-            const genres = [...new Set(
-                Array.from(document.querySelectorAll('a[href*="tags%5B"], a[href*="tags["]'))
-                    .map(tag => tag.textContent.replace(/\s+/g, ' ').trim())
-                    .filter(Boolean)
-                    .filter(t => !/^(4k|48fps|4k\s*48fps)$/i.test(t))
-            )];
-            const viewCount = document.querySelector('a.text-xl i.fa-eye')?.nextSibling?.textContent.trim();
-            const episodeNumber = title.match(/\s*-\s*(\d+)$/)?.[1];
-
-            return { sources, subtitles, title, japaneseTitle, description, releaseInfo, studio, genres, viewCount, episodeNumber };
+    // Metric labels only take values from the manifest: type and catalog come from
+    // the request URL, and every distinct label set is kept for the process' life.
+    function countRequest(resource, type, catalog = '') {
+        handlerRequests.inc({
+            resource,
+            type: manifest.types.includes(type) ? type : 'other',
+            catalog: !catalog || manifest.catalogs.some(c => c.id === catalog) ? catalog : 'other'
         });
+    }
+
+    // Handlers
+    builder.defineCatalogHandler(async ({ type, id, extra, config: given }) => {
+        const config = withDefaults(given);
+        debug('Catalog request with extra:', extra);
+        if (!config.catalogs.includes(id)) {
+            countRequest('catalog', 'other', 'other');
+            return { metas: [] };
+        }
+        countRequest('catalog', type, id);
 
-        await page.close().catch(() => {});
-        page = null;
+        let skip = 0;
+        let search = '';
+        let genre = '';
+        let studio = '';
 
-        // Build Stremio subtitle objects, routed through our own SRT-conversion endpoint
-        // (hstream serves .ass, which Stremio cannot render).
-        const serverUrl = getServerURL();
-        const subtitles = data.subtitles.map(sub => {
-            let absUrl = sub.url;
-            if (!/^https?:/i.test(absUrl)) {
-                absUrl = absUrl.startsWith('//') ? `https:${absUrl}` : `https://hstream.moe${absUrl.startsWith('/') ? '' : '/'}${absUrl}`;
+        try {
+            if (typeof extra === 'string') {
+                const params = new URLSearchParams(extra);
+                skip = parseInt(params.get('skip')) || 0;
+                search = params.get('search') || '';
+                genre = params.get('genre') || '';
+                studio = params.get('studio') || '';
+            } else if (extra && typeof extra === 'object') {
+                skip = parseInt(extra.skip) || 0;
+                search = extra.search || '';
+                genre = extra.genre || '';
+                studio = extra.studio || '';
             }
-            const langCode = LANG_MAP[sub.langName] || 'eng';
-            const enc = Buffer.from(absUrl).toString('base64url');
-            return {
-                id: `${langCode}${sub.isAuto ? '-auto' : ''}`,
-                url: `${serverUrl}/subs/${enc}.srt`,
-                lang: langCode
+        } catch (err) {
+            console.error('Error parsing extra params:', err);
+        }
+
+        // The studio catalog is the popular listing filtered to one studio.
+        const catalogType = id === 'hstream-recent' ? 'recent' : 'popular';
+        if (id === 'hstream-studio' && !studio) return { metas: [] };
+        debug(`Processing catalog request: skip=${skip}, search="${search}", genre="${genre}", studio="${studio}", type=${catalogType}`);
+        // Searches are answered from the crawled index when there is one, and by
+        // hstream's own search when it has no match (a title newer than the crawl).
+        const indexed = search ? await searchIndexed(search, { genre, studio }, config.blockedTags) : null;
+        const catalog = indexed
+            ? indexed.slice(skip, skip + STREMIO_PAGE)
+            : await fetchCatalog(skip, { search, genre, studio }, catalogType, config.blockedTags);
+
+        const metas = catalog.map(series => {
+            // Build a short preview description from what the listing card exposes
+            // (real genres only exist on the detail page, which the meta handler fills in).
+            const descParts = [];
+            if (series.episodes.length > 1) descParts.push(`${series.episodes.length} episodes`);
+            if (series.quality) descParts.push(series.quality);
+            if (series.studio) descParts.push(series.studio);
+            if (series.released) descParts.push(series.released.slice(0, 4));
+            if (series.views) descParts.push(`👁 ${series.views}`);
+            const meta = {
+                id: series.id,
+                type: 'series',
+                name: series.name,
+                poster: series.poster,
+                posterShape: 'poster'
             };
+            if (descParts.length) meta.description = descParts.join('  •  ');
+            return meta;
         });
 
-        // Build one Stremio stream per quality, best first.
-        const streams = data.sources
-            .map(s => ({ ...s, info: qualityInfo(s.size) }))
-            .sort((a, b) => b.info.rank - a.info.rank)
-            .map(s => {
-                const stream = {
-                    name: `HStream\n${s.info.label}`,
-                    title: data.title + (subtitles.length ? `\n🗨 ${subtitles.length} sub` : ''),
-                    url: s.url,
-                    behaviorHints: { bingeGroup: `hstream-${s.size || 'default'}` }
-                };
-                if (subtitles.length) stream.subtitles = subtitles;
-                return stream;
-            });
+        debug(`Returning ${metas.length} items for skip=${skip}`);
+        return { metas };
+    });
 
-        debug(`Found ${streams.length} quality streams with ${subtitles.length} subtitle tracks for "${data.title}"`);
-
-        const result = {
-            title: data.title,
-            japaneseTitle: data.japaneseTitle,
-            description: data.description,
-            releaseInfo: data.releaseInfo,
-            studio: data.studio,
-            genres: data.genres,
-            viewCount: data.viewCount,
-            episodeNumber: data.episodeNumber,
-            subtitles,
-            streams
-        };
+    // Legacy per-episode meta for 'movie' ids saved before series grouping existed.
+    // The slug is the episode's own page, so it is fetched directly.
+    async function episodeMovieMeta(id, slug, config) {
+        const link = episodeUrl(slug, null);
+        const details = await fetchVideoDetails(link);
 
-        streamCache.set(cacheKey, result);
-        return result;
-    } catch (error) {
-        console.error('Video details error:', error);
-        if (page) await page.close().catch(() => {});
-        return { title: 'Unknown', streams: [], subtitles: [] };
-    } finally {
-        await closeBrowser(browser);
+        if (scrapeFailed(details)) {
+            debug(`Episode page ${link} could not be scraped`);
+            return { meta: null };
+        }
+
+        const baseId = slug.replace(/-\d+$/, '');
+        const poster = findCachedSeries(baseId)?.episodes.find(e => e.link === link)?.thumbnail || details.thumbnail;
+
+        return {
+            meta: {
+                id,
+                type: 'movie',
+                name: details.title,
+                poster,
+                background: poster,
+                description: details.description,
+                releaseInfo: details.releaseInfo,
+                genres: details.genres,
+                posterShape: 'poster',
+                runtime: 'Episode ' + details.episodeNumber,
+                language: 'jpn',
+                country: 'ja',
+                awards: details.viewCount ? `${details.viewCount} views` : undefined,
+                director: details.studio,
+                links: studioLinks(details.studio, config),
+                imdbRating: '18+',
+                originalTitle: details.japaneseTitle
+            }
+        };
     }
-}
 
-// Find a catalog item by id, progressively loading more pages if needed.
-// Reuses fetchCatalog so pagination/caching/the shared browser all behave consistently.
-async function findItemById(id, catalogType) {
-    const cacheKey = `catalog-${catalogType}-all`;
-    const getItems = () => (catalogCache.get(cacheKey)?.items) || [];
-
-    let item = getItems().find(i => i.id === id);
-    if (item) return item;
-
-    debug(`Item ${id} not cached, loading more pages to find it`);
-    let lastCount = -1;
-    while (!item) {
-        const skip = getItems().length;
-        if (skip === lastCount) break; // no progress -> avoid infinite loop
-        lastCount = skip;
-        await fetchCatalog(skip, '', catalogType);
-        const items = getItems();
-        item = items.find(i => i.id === id);
-        const cached = catalogCache.get(cacheKey);
-        if (item || !cached || cached.exhausted) break;
-    }
-    return item || null;
-}
+    builder.defineMetaHandler(async ({ type, id, config: given }) => {
+        const config = withDefaults(given);
+        debug('Meta request for id:', id);
+
+        const parsed = parseId(id);
+        countRequest('meta', parsed ? type : 'other');
+        if (!parsed) return { meta: null };
+        const { slug } = parsed;
+        if (type === 'movie') return episodeMovieMeta(id, slug, config);
+        debug(`Processing series meta request for series: ${slug}`);
+
+        const series = await resolveSeries(slug);
+        if (!series) {
+            debug(`Series ${id} could not be resolved`);
+            return { meta: null };
+        }
 
-// Handlers
-builder.defineCatalogHandler(async ({ type, id, extra }) => {
-    debug('Catalog request with extra:', extra);
-    let skip = 0;
-    let search = '';
+        debug(`Found series: ${series.name} (${series.episodes.length} episodes)`);
+        const { first, firstNumber, episodes } = series;
+
+        // Only the first episode's page is opened: the listing and its links to the
+        // other episodes give their numbers, names and thumbnails. Titles and release
+        // dates come from episode pages already cached (by stream requests or the
+        // background refresh); the others have no date until then, rather than
+        // borrowing the first episode's.
+        const videos = episodes.map(ep => {
+            const details = ep.number === firstNumber ? first : streamCache.get(`details-${ep.link}`);
+            const video = {
+                id: `${series.id}:1:${ep.number}`,
+                title: details && !scrapeFailed(details) ? details.title : (ep.name || `Episode ${ep.number}`),
+                season: 1,
+                episode: ep.number,
+                thumbnail: ep.thumbnail || details?.thumbnail || series.poster
+            };
+            const released = toIsoDate(details?.releaseInfo);
+            if (released) video.released = released;
+            return video;
+        });
 
-    try {
-        if (typeof extra === 'string') {
-            const params = new URLSearchParams(extra);
-            skip = parseInt(params.get('skip')) || 0;
-            search = params.get('search') || '';
-        } else if (extra && typeof extra === 'object') {
-            skip = parseInt(extra.skip) || 0;
-            search = extra.search || '';
-        }
-    } catch (err) {
-        console.error('Error parsing extra params:', err);
-    }
-
-    const catalogType = id === 'hstream-recent' ? 'recent' : 'popular';
-    debug(`Processing catalog request: skip=${skip}, search="${search}", type=${catalogType}`);
-    const catalog = await fetchCatalog(skip, search, catalogType);
-
-    const metas = catalog.map(item => {
-        // Build a short preview description from what the listing card exposes
-        // (real genres only exist on the detail page, which the meta handler fills in).
-        const descParts = [];
-        if (item.quality) descParts.push(item.quality);
-        if (item.views) descParts.push(`👁 ${item.views}`);
-        const meta = {
-            id: item.id,
-            type: 'movie',
-            name: item.name,
-            poster: item.poster,
-            posterShape: 'poster'
+        return {
+            meta: {
+                id: series.id,
+                type: 'series',
+                name: (first.title && first.title !== 'Unknown' ? first.title : series.name).replace(/\s*-\s*\d+\s*$/, ''),
+                poster: series.poster,
+                background: first.thumbnail || series.poster,
+                description: first.description,
+                releaseInfo: first.releaseInfo?.slice(0, 4),
+                released: toIsoDate(first.releaseInfo),
+                genres: first.genres,
+                posterShape: 'poster',
+                language: 'jpn',
+                country: 'ja',
+                awards: first.viewCount ? `${first.viewCount} views` : undefined,
+                director: first.studio ? [first.studio] : undefined,
+                links: studioLinks(first.studio, config),
+                imdbRating: '18+',
+                originalTitle: first.japaneseTitle?.replace(/\s*-?\s*\d+\s*$/, ''),
+                videos
+            }
         };
-        if (descParts.length) meta.description = descParts.join('  •  ');
-        return meta;
     });
 
-    debug(`Returning ${metas.length} items for skip=${skip}`);
-    return { metas };
-});
-
-builder.defineMetaHandler(async ({ id }) => {
-    debug('Meta request for id:', id);
-    
-    // Extract catalog type from ID
-    const [prefix, catalogType, ...rest] = id.split(':');
-    const itemId = rest.join(':'); // In case the original ID contained colons
-    debug(`Processing meta request for ${catalogType} catalog, item ID: ${itemId}`);
+    builder.defineStreamHandler(async ({ type, id, config: given }) => {
+        const config = withDefaults(given);
+        debug('Stream request for id:', id);
+
+        const parsed = parseId(id);
+        countRequest('stream', parsed ? type : 'other');
+        if (!parsed) return { streams: [] };
+        const { slug, episode } = parsed;
+        debug(`Processing stream request for ${slug}${episode ? ` episode ${episode}` : ''}`);
+
+        // Episode pages are addressed directly by their URL; no catalog lookup needed.
+        let { link, details } = type === 'movie'
+            ? { link: episodeUrl(slug, null), details: await fetchVideoDetails(episodeUrl(slug, null), { priority: PRIORITY.stream }) }
+            : await fetchEpisode(slug, episode || 1, PRIORITY.stream);
+
+        const blocked = new Set(config.blockedTags.map(tagSlug));
+        if ((details.genres || []).some(g => blocked.has(tagSlug(g)))) {
+            debug(`Title ${id} carries a blocked tag, returning no streams`);
+            return { streams: [] };
+        }
 
-    const item = await findItemById(id, catalogType);
+        if (scrapeFailed(details) || (details.partial && !details.sources.length)) {
+            return { streams: [unavailableStream(link, hstreamLimiter.isOpen() ? 'rate-limited' : 'scrape-failed')] };
+        }
 
-    if (!item) {
-        debug(`Item ${id} not found in catalog`);
-        return { meta: null };
-    }
+        // Cached links may have expired since they were scraped; the best quality
+        // stands in for all of them, as they're signed together.
+        if (VALIDATE_STREAMS && details.sources.length && !(await linkWorks(details.sources[0].url))) {
+            debug(`Stream links for ${link} no longer work, re-scraping`);
+            const fresh = await fetchVideoDetails(link, { refresh: true, priority: PRIORITY.stream });
+            if (scrapeFailed(fresh) || !fresh.sources.length || !(await linkWorks(fresh.sources[0].url))) {
+                streamCache.delete(`details-${link}`);
+                return { streams: [unavailableStream(link, hstreamLimiter.isOpen() ? 'rate-limited' : 'links-expired')] };
+            }
+            details = fresh;
+        }
 
-    debug(`Found item: ${item.name}`);
-    const details = await fetchVideoDetails(item.link);
-    
-    return {
-        meta: {
-            id: item.id,
-            type: 'movie',
-            name: details.title || item.name,
-            poster: item.poster,
-            background: item.poster,
-            description: details.description,
-            releaseInfo: details.releaseInfo,
-            genres: details.genres,
-            posterShape: 'poster',
-            runtime: 'Episode ' + details.episodeNumber,
-            language: 'jpn',
-            country: 'ja',
-            awards: details.viewCount ? `${details.viewCount} views` : undefined,
-            director: details.studio,
-            imdbRating: '18+',
-            originalTitle: details.japaneseTitle
+        // One stream per quality allowed by this install's config, subtitles attached.
+        const streams = buildStreams(details, config);
+        if (streams.length === 0) {
+            // The page loaded fine but has no video (yet): hstream's own player is all there is.
+            debug('No streams found, adding external URL');
+            return { streams: [{ name: 'HStream', title: 'Open in Browser', externalUrl: link }] };
         }
-    };
-});
 
-builder.defineStreamHandler(async ({ id }) => {
-    debug('Stream request for id:', id);
-    
-    // Extract catalog type from ID
-    const [prefix, catalogType, ...rest] = id.split(':');
-    const itemId = rest.join(':'); // In case the original ID contained colons
-    debug(`Processing stream request for ${catalogType} catalog, item ID: ${itemId}`);
+        debug(`Returning ${streams.length} quality streams with ${details.subtitles?.length || 0} subtitle tracks`);
+        return { streams };
+    });
 
-    const item = await findItemById(id, catalogType);
+    // Routes: everything an instance serves, on one router for the caller to mount.
+    const addonInterface = builder.getInterface();
+    const router = express.Router();
+    router.use(cors());
+    router.get('/', (req, res) => {
+        // Private instances have no public configure page; installs start from /<token>/configure.
+        if (access.enabled) return res.status(401).type('text').send('This addon instance is private: open the link you were given.');
+        res.redirect(`${req.baseUrl}/configure`);
+    });
 
-    if (!item) {
-        debug(`Item ${id} not found in catalog`);
-        return { streams: [] };
-    }
+    // Instance endpoints that are public on open instances and behind the access
+    // token on private ones (mounted with the addon routes below): /subs/ makes
+    // requests to hstream, and /metrics names the tokens.
+    const instanceRouter = express.Router({ mergeParams: true });
+
+    // Subtitle conversion endpoint: fetches the original subtitle from hstream's CDN
+    // and returns it as SRT, styled WebVTT or the untouched .ass. The source URL is
+    // base64url-encoded into the path so the URL ends in the rendition's extension
+    // (Stremio is picky about extensions).
+    instanceRouter.get('/subs/:enc.:format(srt|vtt|ass)', async (req, res) => {
+        try {
+            const { format } = req.params;
+            const subUrl = Buffer.from(req.params.enc, 'base64url').toString('utf8');
+            if (!/^https?:\/\//i.test(subUrl)) return res.status(400).send('Invalid url');
+            const hosts = subtitleHosts();
+            if (!hostAllowed(subUrl, hosts)) {
+                accessDenied.inc({ reason: 'subtitle_host' });
+                return res.status(403).send('Host not allowed');
+            }
+
+            const cacheKey = `${format}:${subUrl}`;
+            const text = subsCache.get(cacheKey) || staleWhileThrottled(subsCache, cacheKey) || await singleFlight(`subs:${cacheKey}`, async () => {
+                const raw = await httpGet(subUrl, { canRedirect: next => hostAllowed(next, hosts), download: true });
+                const endTimer = subtitleSeconds.startTimer({ format });
+                const converted = convertSubtitle(raw, format);
+                endTimer();
+                if (converted && converted.trim()) subsCache.set(cacheKey, converted);
+                return converted;
+            });
+            // Only .ass sources have an .ass rendition.
+            if (text === null) return res.status(404).send('');
+
+            res.set('Content-Type', SUBTITLE_CONTENT_TYPES[format]);
+            res.set('Access-Control-Allow-Origin', '*');
+            res.send(text || '');
+        } catch (err) {
+            console.error('Subtitle conversion error:', err.message);
+            recordError('subtitles');
+            res.status(502).send('');
+        }
+    });
 
-    debug(`Found item: ${item.name}, fetching video details from ${item.link}`);
-    const details = await fetchVideoDetails(item.link);
+    // Stream proxy: relays a signed CDN URL with hstream's Referer/Origin, passing
+    // Range through so seeking works. Used by installs with proxyStreams enabled.
+    router.get(['/proxy/:token', '/proxy/:token/:name'], (req, res) => {
+        const url = readProxyToken(req.params.token);
+        if (!url) return res.status(403).send('Invalid token');
+        proxyStream(url, req, res, STREAM_HEADERS);
+    });
 
-    // Streams already come fully formed (one per quality, subtitles attached).
-    if (!details.streams || details.streams.length === 0) {
-        debug('No streams found, adding external URL');
-        return { streams: [{ name: 'HStream', title: 'Open in Browser', externalUrl: item.link }] };
+    // Snapshot for /status and /status.json.
+    async function collectStatus() {
+        let pages = 0;
+        for (const browser of openBrowsers) {
+            if (browser.isConnected()) pages += (await browser.pages().catch(() => [])).length;
+        }
+        const cacheStats = {};
+        for (const [name, cache] of caches) {
+            const stats = cache.stats();
+            // Unlimited caches report null limits (JSON has no Infinity).
+            cacheStats[name] = {
+                ...stats,
+                maxEntries: Number.isFinite(stats.maxEntries) ? stats.maxEntries : null,
+                maxBytes: Number.isFinite(stats.maxBytes) ? stats.maxBytes : null
+            };
+        }
+        const scraping = scrapeHealth();
+        return {
+            serverUrl: getServerURL(),
+            // True while hstream's markup defeats every selector strategy.
+            degraded: scraping.listing.degraded || scraping.details.degraded,
+            startedAt: health.startedAt,
+            scraper: SCRAPER,
+            lowMemory: LOW_MEMORY,
+            browser: { connected: [...openBrowsers].some(b => b.isConnected()), browsers: openBrowsers.size, pages, pool: pagePool.stats() },
+            upstream: hstreamLimiter.stats(),
+            caches: cacheStats,
+            lastSuccess: { ...health.lastSuccess },
+            errors: { ...health.errors },
+            scraping
+        };
     }
 
-    debug(`Returning ${details.streams.length} quality streams with ${details.subtitles?.length || 0} subtitle tracks`);
-    return { streams: details.streams };
-});
+    instanceRouter.get('/metrics', (req, res) => {
+        res.type('text/plain; version=0.0.4').send(renderMetrics());
+    });
 
-// Server setup
-const addonInterface = builder.getInterface();
-app.use(cors());
-app.get('/', (_, res) => {
-    res.redirect('/manifest.json');
-});
-app.get('/manifest.json', (req, res) => res.json(addonInterface.manifest));
+    router.get('/status.json', async (req, res) => {
+        res.json(await collectStatus());
+    });
+    router.get('/status', async (req, res) => {
+        res.type('html').send(renderStatusPage(await collectStatus()));
+    });
 
-// Subtitle conversion endpoint: fetches the original .ass from hstream's CDN
-// and returns SRT that Stremio can render. The .ass URL is base64url-encoded
-// into the path so the URL ends in .srt (Stremio is picky about extensions).
-app.get('/subs/:enc.srt', async (req, res) => {
-    try {
-        const assUrl = Buffer.from(req.params.enc, 'base64url').toString('utf8');
-        if (!/^https?:\/\//i.test(assUrl)) return res.status(400).send('Invalid url');
-
-        let srt = subsCache.get(assUrl);
-        if (!srt) {
-            const raw = await httpGet(assUrl);
-            // Already SRT/VTT? convert VTT->SRT lightly, pass SRT through, else parse ASS.
-            if (/^\s*WEBVTT/i.test(raw)) {
-                srt = raw.replace(/^\s*WEBVTT.*?\r?\n/i, '').replace(/(\d{2}:\d{2}:\d{2})\.(\d{3})/g, '$1,$2');
-            } else if (/-->/.test(raw) && !/^\[Script Info\]/i.test(raw.trim())) {
-                srt = raw;
-            } else {
-                srt = assToSrt(raw);
-            }
-            if (srt && srt.trim()) subsCache.set(assUrl, srt);
-        }
-
-        res.set('Content-Type', 'application/x-subrip; charset=utf-8');
-        res.set('Access-Control-Allow-Origin', '*');
-        res.send(srt || '');
-    } catch (err) {
-        console.error('Subtitle conversion error:', err.message);
-        res.status(502).send('');
-    }
-});
-
-app.get('/:resource/:type/:id.json', async (req, res) => {
-    const { resource, type, id } = req.params;
-    const result = await addonInterface.get(resource, type, id, null);
-    res.json(result);
-});
-app.get('/:resource/:type/:id/:extra.json', async (req, res) => {
-    const { resource, type, id, extra } = req.params;
-    let extraObj = null;
-    
-    try {
-        if (extra && extra !== 'undefined') {
-            try {
-                extraObj = JSON.parse(decodeURIComponent(extra));
-            } catch (e) {
-                const params = new URLSearchParams(extra);
-                extraObj = {};
-                for (const [key, value] of params) {
-                    if (key === 'skip') {
-                        extraObj[key] = parseInt(value);
-                    } else {
-                        extraObj[key] = value;
+    // Install preferences for a request, plus the access token it came in with so
+    // links back into the addon keep it.
+    function requestConfig(req) {
+        const config = parseConfig(req.params.config);
+        if (req.params.token) config.accessToken = req.params.token;
+        return config;
+    }
+
+    // Addon routes. Mounted both at / (default preferences) and under /:config, the
+    // base64url-encoded preferences produced by the configure page.
+    const addonRouter = express.Router({ mergeParams: true });
+    addonRouter.get('/configure', (req, res) => {
+        res.type('html').send(renderConfigurePage({
+            config: parseConfig(req.params.config),
+            serverUrl: installRoot(req.params.token),
+            catalogs: manifest.catalogs.map(c => ({ id: c.id, name: c.name })),
+            languages: LANG_MAP,
+            subtitleFormats: SUBTITLE_FORMATS,
+            qualities: [2160, 1080, 720, 480, 360],
+            tags: HSTREAM_TAGS,
+            defaults: DEFAULT_CONFIG
+        }));
+    });
+    addonRouter.get('/manifest.json', (req, res) => {
+        res.json(currentManifest(requestConfig(req)));
+    });
+    addonRouter.get('/:resource(catalog|meta|stream)/:type/:id.json', async (req, res) => {
+        const { resource, type, id } = req.params;
+        const result = await addonInterface.get(resource, type, id, null, requestConfig(req));
+        res.json(result);
+    });
+    addonRouter.get('/:resource(catalog|meta|stream)/:type/:id/:extra.json', async (req, res) => {
+        const { resource, type, id, extra } = req.params;
+        let extraObj = null;
+
+        try {
+            if (extra && extra !== 'undefined') {
+                try {
+                    extraObj = JSON.parse(decodeURIComponent(extra));
+                } catch (e) {
+                    const params = new URLSearchParams(extra);
+                    extraObj = {};
+                    for (const [key, value] of params) {
+                        if (key === 'skip') {
+                            extraObj[key] = parseInt(value);
+                        } else {
+                            extraObj[key] = value;
+                        }
                     }
                 }
             }
+        } catch (err) {
+            console.error('Error parsing extra:', err);
+        }
+
+        debug('Request params:', { resource, type, id, extra: extraObj });
+        const result = await addonInterface.get(resource, type, id, extraObj, requestConfig(req));
+        res.json(result);
+    });
+    const installRouter = express.Router({ mergeParams: true });
+    installRouter.use('/', addonRouter);
+    installRouter.use('/:config', addonRouter);
+
+    // Private instances: the first path segment must be a known token, within its rate limit.
+    function requireToken(req, res, next) {
+        const name = access.identify(req.params.token);
+        if (!name) {
+            accessDenied.inc({ reason: 'token' });
+            return res.status(401).json({ err: 'This addon instance needs a valid access token in its URL' });
+        }
+        const { allowed, retryAfter } = access.limit(name);
+        if (!allowed) {
+            accessDenied.inc({ reason: 'rate_limit' });
+            debug(`Token "${name}" is over its rate limit`);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ err: 'Too many requests, slow down' });
         }
-    } catch (err) {
-        console.error('Error parsing extra:', err);
+        tokenRequests.inc({ token: name });
+        next();
     }
-    
-    debug('Request params:', { resource, type, id, extra: extraObj });
-    const result = await addonInterface.get(resource, type, id, extraObj);
-    res.json(result);
-});
 
-const serverUrl = getServerURL();
-app.listen(port, '0.0.0.0', () => {
-    console.log(`Addon running on ${serverUrl}`);
-    if (!process.env.RENDER) {
-        console.log(`Local URL: http://127.0.0.1:${port}`);
+    if (access.enabled) {
+        router.use('/:token', requireToken, instanceRouter, installRouter);
+    } else {
+        router.use('/', instanceRouter, installRouter);
+    }
+
+    // Warm up Chrome in the background so the first catalog request is faster (not on
+    // low-memory hosts, which launch it per request instead), and start the scheduler.
+    function start() {
+        if (PERSISTENT_BROWSER && SCRAPER !== 'http') {
+            pagePool.warm().then(() => debug('Browser pre-warmed')).catch(() => {});
+        }
+        startRefreshScheduler();
+        // Without the scheduler, the studio list is only looked up once per start.
+        if (!REFRESH_INTERVAL) refreshStudios();
     }
-    console.log(`Install URL: ${serverUrl}/manifest.json`);
-    // Warm up Chrome in the background so the first catalog request is faster.
-    // Skip on low-memory hosts (Render) where we launch/close per request instead.
-    if (PERSISTENT_BROWSER) {
-        getBrowser().then(() => debug('Browser pre-warmed')).catch(() => {});
+
+    // Stop the scheduler and background refreshes, give running scrapes up to
+    // `timeout` ms to finish, then close the browser (failing anything still queued
+    // for it) and write the caches out.
+    async function close({ timeout = 0 } = {}) {
+        closing = true;
+        refreshTimers.splice(0).forEach(timer => clearTimeout(timer));
+        clearInterval(indexTimer);
+        const deadline = Date.now() + timeout;
+        const busy = () => inFlight.size || keyLocks.size || refreshRunning || pagePool.stats().active || pagePool.stats().queued;
+        while (busy() && Date.now() < deadline) await delay(50);
+        if (busy()) console.warn(`Closing with scrapes still running after ${timeout / 1000}s`);
+        instances.delete(instance);
+        await pagePool.shutdown();
+        process.off('exit', flushCaches);
+        flushCaches();
     }
-});
\ No newline at end of file
+
+    const instance = { limiter: hstreamLimiter, pool: pagePool, caches };
+    instances.add(instance);
+
+    return {
+        manifest,
+        addonInterface,
+        router,
+        caches,
+        serverUrl: getServerURL(),
+        access: { enabled: access.enabled, names: access.names },
+        start,
+        close,
+        collectStatus,
+        fetchPage,
+        fetchPageHttp,
+        fetchCatalog,
+        fetchVideoDetails,
+        // One background refresh pass right now, outside the scheduler.
+        runRefresh,
+        // One listing page as background work (crawl.js).
+        fetchListingPage: (pageNum, filters = {}, catalogType = 'popular') =>
+            scrapeListingPage(pageNum, filters, catalogType, PRIORITY.background),
+        // An episode page's meta from its server-rendered HTML only, uncached: no
+        // browser, no video probes (crawl.js).
+        fetchEpisodeMeta: fetchDetailsHttp,
+        indexFile
+    };
+}
+
+module.exports = { createAddon };
@@ -0,0 +1,109 @@
+// Where the scraper's Chrome comes from: an already-running browser to connect
+// to (BROWSER_WS_ENDPOINT), an explicit binary (CHROME_PATH), an installed
+// Chrome/Chromium/Edge found on this machine, or the @sparticuz/chromium build.
+const fs = require('fs');
+const path = require('path');
+
+const isRender = Boolean(process.env.RENDER || process.env.RENDER_EXTERNAL_HOSTNAME);
+
+const LAUNCH_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--disable-gpu',
+    '--window-size=1920x1080',
+    '--headless=new'
+];
+
+// Known install locations per platform, most likely first.
+function installPaths(platform = process.platform, env = process.env) {
+    if (platform === 'win32') {
+        const roots = [env.PROGRAMFILES, env['PROGRAMFILES(X86)'], env.LOCALAPPDATA,
+            'C:\\Program Files', 'C:\\Program Files (x86)'].filter(Boolean);
+        return [
+            ...roots.map(root => path.win32.join(root, 'Google\\Chrome\\Application\\chrome.exe')),
+            ...roots.map(root => path.win32.join(root, 'Chromium\\Application\\chrome.exe')),
+            ...roots.map(root => path.win32.join(root, 'Microsoft\\Edge\\Application\\msedge.exe'))
+        ];
+    }
+    if (platform === 'darwin') {
+        const apps = [
+            'Google Chrome.app/Contents/MacOS/Google Chrome',
+            'Chromium.app/Contents/MacOS/Chromium',
+            'Google Chrome Canary.app/Contents/MacOS/Google Chrome Canary',
+            'Microsoft Edge.app/Contents/MacOS/Microsoft Edge'
+        ];
+        const roots = ['/Applications', env.HOME && path.posix.join(env.HOME, 'Applications')].filter(Boolean);
+        return roots.flatMap(root => apps.map(app => path.posix.join(root, app)));
+    }
+    // Linux and other Unixes: distro packages, Google's .deb/.rpm, snap and Docker images.
+    const names = ['google-chrome-stable', 'google-chrome', 'chromium', 'chromium-browser', 'microsoft-edge'];
+    const dirs = (env.PATH || '').split(path.delimiter).filter(Boolean);
+    return [
+        ...dirs.flatMap(dir => names.map(name => path.posix.join(dir, name))),
+        '/opt/google/chrome/chrome',
+        '/usr/lib/chromium/chromium',
+        '/usr/lib/chromium-browser/chromium-browser',
+        '/snap/bin/chromium'
+    ];
+}
+
+function isExecutable(file) {
+    try {
+        fs.accessSync(file, process.platform === 'win32' ? fs.constants.F_OK : fs.constants.X_OK);
+        return fs.statSync(file).isFile();
+    } catch (e) {
+        return false;
+    }
+}
+
+// First installed browser on this machine, or null.
+function findChrome(platform, env) {
+    return installPaths(platform, env).find(isExecutable) || null;
+}
+
+// @sparticuz/chromium unpacks its own Chromium build (Linux x64 only); null when
+// the package is missing or can't run here.
+async function sparticuzOptions() {
+    let chromium;
+    try {
+        chromium = require('@sparticuz/chromium');
+    } catch (e) {
+        return null;
+    }
+    if (process.platform !== 'linux') return null;
+    return {
+        args: LAUNCH_ARGS,
+        executablePath: await chromium.executablePath(),
+        headless: chromium.headless,
+        ignoreHTTPSErrors: true
+    };
+}
+
+// Resolves to { connect: options } for puppeteer.connect() or { launch: options }
+// for puppeteer.launch(), with a `source` describing the choice for the logs.
+async function browserOptions() {
+    const endpoint = process.env.BROWSER_WS_ENDPOINT;
+    if (endpoint) {
+        return { source: `remote browser at ${endpoint}`, connect: { browserWSEndpoint: endpoint, ignoreHTTPSErrors: true } };
+    }
+
+    const chromePath = process.env.CHROME_PATH;
+    if (chromePath) {
+        if (!isExecutable(chromePath)) throw new Error(`CHROME_PATH is set to ${chromePath}, but no executable exists there`);
+        return { source: chromePath, launch: { args: LAUNCH_ARGS, executablePath: chromePath } };
+    }
+
+    // Render's image has no Chrome; its bundled Chromium is the only option there.
+    const installed = isRender ? null : findChrome();
+    if (installed) return { source: installed, launch: { args: LAUNCH_ARGS, executablePath: installed } };
+
+    const bundled = await sparticuzOptions();
+    if (bundled) return { source: '@sparticuz/chromium', launch: bundled };
+
+    throw new Error('No Chrome or Chromium found. Install one, point CHROME_PATH at its executable, ' +
+        'set BROWSER_WS_ENDPOINT to use a running browser, or set SCRAPER=http to scrape without a browser.');
+}
+
+module.exports = { isRender, installPaths, findChrome, browserOptions };
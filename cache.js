@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+
+// A journal this much bigger than twice the entries it holds gets compacted.
+const COMPACT_SLACK = 1024 * 1024;
+// Compaction writes the file in chunks of about this size.
+const WRITE_CHUNK = 64 * 1024;
+
+const journalLine = ([key, item]) => `${JSON.stringify(item ? [key, item] : [key])}\n`;
+
+// Persists a Cache as a journal of JSON lines ({name}.jsonl): every change is
+// appended as one line, [key, { value, expires, size }] for a write and [key] for
+// a removal, so a save costs the size of what changed rather than of the whole
+// cache. Loading replays the lines in order, skipping one cut short by a crash.
+// compact() rewrites the journal as just the live entries, into a temp file that
+// is renamed into place.
+class FileBackend {
+    constructor(dir, name) {
+        this.dir = dir;
+        this.file = path.join(dir, `${name}.jsonl`);
+        this.bytes = 0;
+        // Writes run one at a time, so lines appended during a compaction aren't lost.
+        this.queue = Promise.resolve();
+    }
+    load() {
+        let text;
+        try {
+            text = fs.readFileSync(this.file, 'utf8');
+        } catch (e) {
+            if (e.code !== 'ENOENT') console.error(`Could not load cache ${this.file}:`, e.message);
+            return [];
+        }
+        this.bytes = Buffer.byteLength(text);
+        const entries = new Map();
+        for (const line of text.split('\n')) {
+            let change;
+            try {
+                change = JSON.parse(line);
+            } catch (e) {
+                continue;
+            }
+            if (!Array.isArray(change)) continue;
+            // Re-inserted, so the last write decides the recency order.
+            entries.delete(change[0]);
+            if (change[1]) entries.set(change[0], change[1]);
+        }
+        return [...entries];
+    }
+    append(changes) {
+        const text = changes.map(journalLine).join('');
+        return this.enqueue(async () => {
+            await fs.promises.mkdir(this.dir, { recursive: true });
+            await fs.promises.appendFile(this.file, text);
+            this.bytes += Buffer.byteLength(text);
+        });
+    }
+    appendSync(changes) {
+        const text = changes.map(journalLine).join('');
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.appendFileSync(this.file, text);
+        this.bytes += Buffer.byteLength(text);
+    }
+    // Entries are serialized one at a time between writes, so a big cache never
+    // blocks the process for one huge JSON.stringify.
+    compact(entries) {
+        return this.enqueue(async () => {
+            const tmp = `${this.file}.${process.pid}.tmp`;
+            await fs.promises.mkdir(this.dir, { recursive: true });
+            const handle = await fs.promises.open(tmp, 'w');
+            let bytes = 0;
+            try {
+                let chunk = '';
+                for (const entry of entries) {
+                    chunk += journalLine(entry);
+                    if (chunk.length < WRITE_CHUNK) continue;
+                    await handle.write(chunk);
+                    bytes += Buffer.byteLength(chunk);
+                    chunk = '';
+                }
+                await handle.write(chunk);
+                bytes += Buffer.byteLength(chunk);
+            } finally {
+                await handle.close();
+            }
+            await fs.promises.rename(tmp, this.file);
+            this.bytes = bytes;
+        });
+    }
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+}
+
+function approxSize(value) {
+    if (typeof value === 'string') return value.length;
+    try {
+        return JSON.stringify(value)?.length || 0;
+    } catch (e) {
+        return 0;
+    }
+}
+
+// TTL cache with LRU eviction. Entries live in a Map whose insertion order is
+// the recency order (reads move an entry to the end), so eviction just drops
+// from the front until the entry/byte limits are met. With a backend, the
+// contents are loaded at construction and each change is written back shortly
+// after it happens.
+// With `staleFor`, expired entries are kept that much longer for getStale().
+class Cache {
+    constructor(ttl = 3600000, { maxEntries = Infinity, maxBytes = Infinity, staleFor = 0, backend = null, persistDelay = 5000 } = {}) {
+        this.data = new Map();
+        this.ttl = ttl;
+        this.staleFor = staleFor;
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.bytes = 0;
+        this.backend = backend;
+        this.persistDelay = persistDelay;
+        this.persistTimer = null;
+        // Key -> entry (or null once removed) changed since the last write.
+        this.changes = new Map();
+        this.hits = 0;
+        this.misses = 0;
+        if (backend) this.load();
+    }
+    get(key) {
+        if (!this.data.has(key)) {
+            this.misses++;
+            return null;
+        }
+        const item = this.data.get(key);
+        if (Date.now() > item.expires) {
+            if (Date.now() > item.expires + this.staleFor) this.delete(key);
+            this.misses++;
+            return null;
+        }
+        // Mark as most recently used.
+        this.data.delete(key);
+        this.data.set(key, item);
+        this.hits++;
+        return item.value;
+    }
+    set(key, value, customTtl = null) {
+        const expires = Date.now() + (customTtl || this.ttl);
+        const size = approxSize(value);
+        if (this.data.has(key)) this.delete(key);
+        this.data.set(key, { value, expires, size });
+        this.bytes += size;
+        this.recordChange(key);
+        this.evict();
+    }
+    delete(key) {
+        const item = this.data.get(key);
+        if (!item) return;
+        this.bytes -= item.size || 0;
+        this.data.delete(key);
+        this.recordChange(key);
+    }
+    clear() {
+        for (const key of this.data.keys()) this.recordChange(key, null);
+        this.data.clear();
+        this.bytes = 0;
+    }
+    // Value of a live entry, or null; doesn't count as a hit or a use (for scans
+    // over every entry that shouldn't skew hit rates or the LRU order).
+    peek(key) {
+        const item = this.data.get(key);
+        return item && Date.now() <= item.expires ? item.value : null;
+    }
+    // Value of an entry that may have expired, within the staleFor window, or null.
+    // For when fresh data can't be had; doesn't count as a hit or a use.
+    getStale(key) {
+        const item = this.data.get(key);
+        return item && Date.now() <= item.expires + this.staleFor ? item.value : null;
+    }
+    // Expiry time of a live entry, or null; doesn't count as a use.
+    expiresAt(key) {
+        const item = this.data.get(key);
+        return item && Date.now() <= item.expires ? item.expires : null;
+    }
+    keys() {
+        const now = Date.now();
+        return [...this.data].filter(([, item]) => now <= item.expires).map(([key]) => key);
+    }
+    evict() {
+        // Always keep the newest entry, even if it alone is over the byte budget.
+        while (this.data.size > 1 && (this.data.size > this.maxEntries || this.bytes > this.maxBytes)) {
+            const oldest = this.data.keys().next().value;
+            this.delete(oldest);
+        }
+    }
+    load() {
+        const now = Date.now();
+        for (const [key, item] of this.backend.load()) {
+            if (!item || now > item.expires + this.staleFor) continue;
+            const size = item.size || approxSize(item.value);
+            this.data.set(key, { value: item.value, expires: item.expires, size });
+            this.bytes += size;
+        }
+        this.evict();
+    }
+    // Everything worth persisting, stale entries included.
+    entries() {
+        const now = Date.now();
+        return [...this.data].filter(([, item]) => now <= item.expires + this.staleFor);
+    }
+    // Size and hit rate since startup, for /status.
+    stats() {
+        const lookups = this.hits + this.misses;
+        return {
+            entries: this.data.size,
+            bytes: this.bytes,
+            maxEntries: this.maxEntries,
+            maxBytes: this.maxBytes,
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: lookups ? this.hits / lookups : null
+        };
+    }
+    recordChange(key, item = this.data.get(key) || null) {
+        if (!this.backend) return;
+        this.changes.delete(key);
+        this.changes.set(key, item);
+        if (this.persistTimer) return;
+        this.persistTimer = setTimeout(() => {
+            this.persistTimer = null;
+            this.persist().catch(e => console.error('Could not persist cache:', e.message));
+        }, this.persistDelay);
+        this.persistTimer.unref();
+    }
+    takeChanges() {
+        const changes = [...this.changes];
+        this.changes.clear();
+        return changes;
+    }
+    // Append what changed, or rewrite the journal once replaced and removed
+    // entries make up most of it.
+    persist() {
+        const changes = this.takeChanges();
+        if (this.backend.bytes > 2 * this.bytes + COMPACT_SLACK) return this.backend.compact(this.entries());
+        return this.backend.append(changes);
+    }
+    // Synchronous write of anything still pending, for process exit.
+    flush() {
+        if (!this.backend || !this.persistTimer) return;
+        clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+        try {
+            this.backend.appendSync(this.takeChanges());
+        } catch (e) {
+            console.error('Could not persist cache:', e.message);
+        }
+    }
+}
+
+module.exports = { Cache, FileBackend };
@@ -0,0 +1,119 @@
+// HTML for the /configure page. The form is turned into the base64url JSON
+// config segment client-side, mirroring encodeConfig() in addon.js, so the
+// page needs no POST endpoint.
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderConfigurePage({ config, serverUrl, catalogs, languages, subtitleFormats, qualities, tags, defaults }) {
+    const qualityOptions = qualities.map(q =>
+        `<option value="${q}"${q === config.maxQuality ? ' selected' : ''}>${q === 2160 ? '2160p (4K)' : `${q}p`}</option>`
+    ).join('');
+
+    const languageOptions = ['<option value="">No preference</option>'].concat(
+        Object.entries(languages).map(([name, code]) =>
+            `<option value="${code}"${code === config.subtitleLang ? ' selected' : ''}>${escapeHtml(name)}</option>`)
+    ).join('');
+
+    const formatOptions = Object.entries(subtitleFormats).map(([value, name]) =>
+        `<option value="${value}"${value === config.subtitleFormat ? ' selected' : ''}>${escapeHtml(name)}</option>`
+    ).join('');
+
+    const catalogBoxes = catalogs.map(c =>
+        `<label><input type="checkbox" name="catalogs" value="${escapeHtml(c.id)}"${config.catalogs.includes(c.id) ? ' checked' : ''}> ${escapeHtml(c.name)}</label>`
+    ).join('');
+
+    const tagBoxes = tags.map(tag =>
+        `<label><input type="checkbox" name="blockedTags" value="${escapeHtml(tag)}"${config.blockedTags.includes(tag) ? ' checked' : ''}> ${escapeHtml(tag)}</label>`
+    ).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>HStream - Configure</title>
+<style>
+    body { font-family: system-ui, sans-serif; background: #111; color: #eee; max-width: 520px; margin: 40px auto; padding: 0 16px; }
+    h1 { font-size: 1.6em; }
+    fieldset { border: 1px solid #333; border-radius: 8px; margin: 16px 0; padding: 12px 16px; }
+    legend { padding: 0 6px; color: #aaa; }
+    label { display: block; margin: 6px 0; }
+    .tags { display: grid; grid-template-columns: repeat(auto-fill, minmax(140px, 1fr)); }
+    .tags label { margin: 2px 0; }
+    select { background: #222; color: #eee; border: 1px solid #444; padding: 4px; }
+    a.button { display: inline-block; margin: 8px 8px 0 0; padding: 10px 18px; border-radius: 6px; background: #7b5bf5; color: #fff; text-decoration: none; }
+    code { display: block; word-break: break-all; background: #222; padding: 8px; border-radius: 6px; margin-top: 12px; }
+</style>
+</head>
+<body>
+<h1>HStream</h1>
+<form id="config">
+    <fieldset>
+        <legend>Streams</legend>
+        <label>Maximum quality <select name="maxQuality">${qualityOptions}</select></label>
+        <label><input type="checkbox" name="hide48fps"${config.hide48fps ? ' checked' : ''}> Hide 48fps interpolated versions</label>
+        <label><input type="checkbox" name="proxyStreams"${config.proxyStreams ? ' checked' : ''}> Play through this server (for players the CDN refuses)</label>
+    </fieldset>
+    <fieldset>
+        <legend>Subtitles</legend>
+        <label>Preferred language <select name="subtitleLang">${languageOptions}</select></label>
+        <label>Format <select name="subtitleFormat">${formatOptions}</select></label>
+    </fieldset>
+    <fieldset>
+        <legend>Catalogs</legend>
+        ${catalogBoxes}
+    </fieldset>
+    <fieldset>
+        <legend>Hide titles tagged with</legend>
+        <div class="tags">${tagBoxes}</div>
+    </fieldset>
+</form>
+<a class="button" id="install" href="#">Install</a>
+<a class="button" id="web" href="#">Install (Stremio Web)</a>
+<code id="url"></code>
+<script>
+    const serverUrl = ${JSON.stringify(serverUrl)};
+    const defaults = ${JSON.stringify(defaults)};
+    const form = document.getElementById('config');
+
+    function encodeConfig() {
+        const config = {
+            maxQuality: Number(form.maxQuality.value),
+            hide48fps: form.hide48fps.checked,
+            proxyStreams: form.proxyStreams.checked,
+            subtitleLang: form.subtitleLang.value,
+            subtitleFormat: form.subtitleFormat.value,
+            catalogs: [...form.querySelectorAll('input[name="catalogs"]:checked')].map(i => i.value),
+            blockedTags: [...form.querySelectorAll('input[name="blockedTags"]:checked')].map(i => i.value)
+        };
+        const diff = {};
+        for (const key of Object.keys(defaults)) {
+            if (JSON.stringify(config[key]) !== JSON.stringify(defaults[key])) diff[key] = config[key];
+        }
+        if (!Object.keys(diff).length) return '';
+        return btoa(unescape(encodeURIComponent(JSON.stringify(diff))))
+            .replace(/\\+/g, '-').replace(/\\//g, '_').replace(/=+$/, '');
+    }
+
+    function update() {
+        const segment = encodeConfig();
+        const manifestUrl = serverUrl + (segment ? '/' + segment : '') + '/manifest.json';
+        document.getElementById('url').textContent = manifestUrl;
+        document.getElementById('install').href = manifestUrl.replace(/^https?:\\/\\//, 'stremio://');
+        document.getElementById('web').href = 'https://web.stremio.com/#/addons?addon=' + encodeURIComponent(manifestUrl);
+    }
+
+    form.addEventListener('change', update);
+    update();
+</script>
+</body>
+</html>`;
+}
+
+module.exports = { renderConfigurePage, escapeHtml };
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+// Crawl hstream's whole listing into the local search index (see site-index.js):
+//   node crawl.js          add what was released since the last crawl
+//   node crawl.js --full   rebuild the index from scratch
+// The first crawl walks every listing page and opens each title's first episode
+// for its Japanese title, tags, studio and release date. Later crawls stop at the
+// first listing page with nothing new, and retry titles whose details failed.
+const { createAddon } = require('./addon');
+const { emptyIndex, loadIndex, saveIndex } = require('./site-index');
+
+const MAX_PAGES = 500;
+// Details fetched between two saves of an index being built.
+const SAVE_EVERY = 25;
+
+// `addon` provides fetchListingPage() and fetchEpisodeMeta() (see createAddon);
+// `save(index)` is called with the index so far after the listing walk, every
+// SAVE_EVERY titles and when the walk fails part-way. Resolves the new index.
+async function crawlSite(addon, index = emptyIndex(), { full = false, maxPages = MAX_PAGES, save = () => {}, log = console.log } = {}) {
+    const previous = full ? emptyIndex() : index;
+    const series = new Map(previous.series.map(entry => [entry.baseId, entry]));
+    const knownEpisodes = new Set(previous.series.flatMap(entry => entry.episodes.map(e => e.id)));
+    // Titles with new episodes, in listing (newest first) order: they go to the front.
+    const touched = new Set();
+    let complete = previous.complete;
+
+    const snapshot = () => ({
+        ...emptyIndex(),
+        crawledAt: new Date().toISOString(),
+        complete,
+        series: [...touched, ...[...series.keys()].filter(id => !touched.has(id))].map(id => series.get(id))
+    });
+
+    let added = 0;
+    try {
+        for (let page = 1; page <= maxPages; page++) {
+            const { items, degraded } = await addon.fetchListingPage(page, {}, 'recent');
+            if (degraded) throw new Error(`Listing page ${page} failed validation`);
+            if (!items.length) {
+                complete = true;
+                break;
+            }
+            const unseen = items.filter(item => !knownEpisodes.has(item.id));
+            for (const item of unseen) {
+                let entry = series.get(item.baseId);
+                if (!entry) {
+                    entry = {
+                        baseId: item.baseId,
+                        title: item.name.replace(/\s*-\s*\d+\s*$/, ''),
+                        japaneseTitle: null,
+                        tags: [],
+                        studio: null,
+                        released: null,
+                        poster: item.poster || null,
+                        description: null,
+                        episodes: [],
+                        detailsMissing: true
+                    };
+                    series.set(item.baseId, entry);
+                }
+                touched.add(item.baseId);
+                entry.episodes.push({ number: parseInt(item.episodeNumber, 10) || 1, id: item.id, link: item.link });
+                entry.episodes.sort((a, b) => a.number - b.number);
+                knownEpisodes.add(item.id);
+                added++;
+            }
+            if (page % 10 === 0) log(`Listing page ${page}: ${added} new episode(s) so far`);
+            // Caught up: a complete index already has everything past this page.
+            if (previous.complete && unseen.length === 0) break;
+        }
+    } catch (error) {
+        complete = false;
+        save(snapshot());
+        throw error;
+    }
+    log(`Listing walked: ${added} new episode(s), ${series.size} title(s)`);
+    save(snapshot());
+
+    const pending = [...series.values()].filter(entry => entry.detailsMissing);
+    let failed = 0;
+    for (const [i, entry] of pending.entries()) {
+        // The index only needs what the plain page shows: never Chrome, even though
+        // real pages have no <source> for the video.
+        const details = await addon.fetchEpisodeMeta(entry.episodes[0].link).catch(error => {
+            log(`Details of ${entry.baseId} failed: ${error.message}`);
+            return null;
+        });
+        if (!details || details.degraded) {
+            failed++;
+        } else {
+            Object.assign(entry, {
+                japaneseTitle: details.japaneseTitle?.replace(/\s*-?\s*\d+\s*$/, '') || null,
+                tags: details.genres || [],
+                studio: details.studio || null,
+                released: details.releaseInfo || null,
+                poster: entry.poster || details.thumbnail || null,
+                description: details.description || null,
+                detailsMissing: false
+            });
+            // Episode pages link their siblings: pick up any the listing didn't show.
+            for (const ep of details.episodes || []) {
+                const id = `hstream:${entry.baseId}-${ep.number}`;
+                if (knownEpisodes.has(id)) continue;
+                knownEpisodes.add(id);
+                entry.episodes.push({ number: ep.number, id, link: ep.link });
+            }
+            entry.episodes.sort((a, b) => a.number - b.number);
+        }
+        if ((i + 1) % SAVE_EVERY === 0) {
+            log(`Details: ${i + 1}/${pending.length} (${failed} failed)`);
+            save(snapshot());
+        }
+    }
+    if (pending.length) log(`Details fetched for ${pending.length - failed} of ${pending.length} title(s)`);
+
+    const result = snapshot();
+    save(result);
+    return result;
+}
+
+async function main() {
+    const full = process.argv.includes('--full');
+    // In-memory caches, so a crawl never writes to the cache files of a running
+    // server sharing CACHE_DIR.
+    const addon = createAddon({ cacheBackend: 'memory' });
+    const file = addon.indexFile;
+    const before = await loadIndex(file);
+    console.log(full || !before.series.length
+        ? `Crawling hstream into ${file}`
+        : `Updating ${file} (${before.series.length} titles, last crawled ${before.crawledAt})`);
+    const started = Date.now();
+    try {
+        const index = await crawlSite(addon, before, { full, save: next => saveIndex(file, next) });
+        const missing = index.series.filter(entry => entry.detailsMissing).length;
+        console.log(`Index has ${index.series.length} titles${missing ? ` (${missing} without details, retried next time)` : ''}; ` +
+            `done in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+    } finally {
+        await addon.close();
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Crawl failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { crawlSite };
@@ -0,0 +1,146 @@
+// Request budget toward hstream, shared by the HTTP client and the browser's page
+// loads. acquire() waits for a free slot (at most `maxInFlight` requests at once,
+// started no faster than `rate` per second) and resolves to a done(status,
+// retryAfter) callback to call with the response. 403/429/503 answers pause all
+// requests with exponential backoff (or longer, if Retry-After says so). After
+// `tripAfter` of them in a row, or a pause longer than `maxWait`, the circuit
+// opens: acquire() rejects straight away with a THROTTLED error until the pause
+// ends, then lets a single request through to probe the site.
+const THROTTLE_STATUSES = [403, 429, 503];
+
+function throttledError(message) {
+    const error = new Error(message);
+    error.code = 'THROTTLED';
+    return error;
+}
+
+function isThrottled(error) {
+    return Boolean(error) && error.code === 'THROTTLED';
+}
+
+// Retry-After is either a number of seconds or an HTTP date; resolves to ms or null.
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return null;
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) return Number(text) * 1000;
+    const date = Date.parse(text);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function createLimiter({
+    rate = 5,
+    maxInFlight = 4,
+    baseBackoff = 2000,
+    maxBackoff = 5 * 60 * 1000,
+    tripAfter = 3,
+    maxWait = 15 * 1000,
+    log = () => {}
+} = {}) {
+    const queue = [];
+    let inFlight = 0;
+    let nextSlot = 0;
+    let pausedUntil = 0;
+    let strikes = 0;
+    let open = false;
+    let timer = null;
+    const stats = { requests: 0, throttled: 0, rejected: 0, trips: 0 };
+
+    const rejecting = () => open && Date.now() < pausedUntil;
+    const rejection = () => throttledError(`hstream is rate-limiting us; not sending requests until ${new Date(pausedUntil).toISOString()}`);
+
+    function pump() {
+        clearTimeout(timer);
+        timer = null;
+        while (queue.length) {
+            if (rejecting()) {
+                for (const waiter of queue.splice(0)) {
+                    stats.rejected++;
+                    waiter.reject(rejection());
+                }
+                return;
+            }
+            // Half-open: one probe at a time until the site answers normally again.
+            if (inFlight >= (open ? 1 : maxInFlight)) return;
+            const now = Date.now();
+            const at = Math.max(nextSlot, pausedUntil);
+            if (at > now) {
+                // Not unref'd: a request waiting for its slot keeps the process alive.
+                timer = setTimeout(pump, at - now);
+                return;
+            }
+            nextSlot = rate ? now + 1000 / rate : 0;
+            inFlight++;
+            stats.requests++;
+            queue.shift().resolve(once(done));
+        }
+    }
+
+    function once(fn) {
+        let called = false;
+        return (...args) => {
+            if (called) return;
+            called = true;
+            fn(...args);
+        };
+    }
+
+    function done(status, retryAfter) {
+        inFlight--;
+        if (THROTTLE_STATUSES.includes(status)) {
+            throttle(status, retryAfter);
+        } else if (status) {
+            if (open) log('hstream is answering normally again, resuming requests');
+            strikes = 0;
+            open = false;
+        }
+        // No status (network error, timeout): neither proof of throttling nor of recovery.
+        pump();
+    }
+
+    function throttle(status, retryAfter) {
+        strikes++;
+        stats.throttled++;
+        const backoff = Math.min(maxBackoff, baseBackoff * 2 ** (strikes - 1));
+        const asked = parseRetryAfter(retryAfter);
+        const pause = asked === null ? backoff : Math.max(backoff, asked);
+        pausedUntil = Math.max(pausedUntil, Date.now() + pause);
+        if (!open && (strikes >= tripAfter || pause > maxWait)) {
+            open = true;
+            stats.trips++;
+            log(`hstream answered ${status} ${strikes} time(s) in a row; pausing requests for ${Math.round(pause / 1000)}s and serving cached data meanwhile`);
+        } else {
+            log(`hstream answered ${status}; pausing requests for ${Math.round(pause / 1000)}s`);
+        }
+    }
+
+    function acquire() {
+        if (rejecting()) {
+            stats.rejected++;
+            return Promise.reject(rejection());
+        }
+        return new Promise((resolve, reject) => {
+            queue.push({ resolve, reject });
+            pump();
+        });
+    }
+
+    // True while requests are being refused; callers answer from stale cache instead.
+    function isOpen() {
+        return rejecting();
+    }
+
+    function snapshot() {
+        return {
+            inFlight,
+            queued: queue.length,
+            open: rejecting(),
+            pausedUntil: pausedUntil > Date.now() ? pausedUntil : null,
+            strikes,
+            ...stats
+        };
+    }
+
+    return { acquire, isOpen, stats: snapshot };
+}
+
+module.exports = { createLimiter, isThrottled, throttledError, parseRetryAfter, THROTTLE_STATUSES };
@@ -0,0 +1,102 @@
+// What a video URL holds, without downloading it: the file size from a HEAD
+// request and the container and video codec from the first bytes (a Range read).
+// Codecs are only found when the file's index comes first (MP4 "faststart",
+// WebM, HLS/DASH manifests); otherwise codec is null.
+const http = require('http');
+const https = require('https');
+
+const REDIRECTS = [301, 302, 303, 307, 308];
+
+// First marker found wins, so the list runs from the codecs least likely to show
+// up by accident (AV1) to the most common one.
+const CODECS = [
+    ['AV1', ['av01', 'V_AV1']],
+    ['HEVC', ['hvc1', 'hev1', 'V_MPEGH/ISO/HEVC']],
+    ['VP9', ['vp09', 'V_VP9']],
+    ['H.264', ['avc1', 'avc3', 'V_MPEG4/ISO/AVC']]
+];
+
+const CONTENT_TYPES = {
+    'video/mp4': 'mp4',
+    'video/webm': 'webm',
+    'video/x-matroska': 'mkv',
+    'application/vnd.apple.mpegurl': 'hls',
+    'application/x-mpegurl': 'hls',
+    'application/dash+xml': 'dash'
+};
+
+function detectContainer(head, contentType = '') {
+    if (head.length >= 8 && head.toString('latin1', 4, 8) === 'ftyp') return 'mp4';
+    if (head.length >= 4 && head.readUInt32BE(0) === 0x1A45DFA3) return head.includes('webm') ? 'webm' : 'mkv';
+    const text = head.toString('latin1', 0, 512).trimStart();
+    if (text.startsWith('#EXTM3U')) return 'hls';
+    if (text.startsWith('<?xml') || text.startsWith('<MPD')) return 'dash';
+    return CONTENT_TYPES[contentType.split(';')[0].trim().toLowerCase()] || null;
+}
+
+function detectCodec(head) {
+    // An MP4's ftyp box lists compatible brands such as "avc1" whatever the
+    // video actually is; look past it.
+    const start = head.length >= 8 && head.toString('latin1', 4, 8) === 'ftyp' ? head.readUInt32BE(0) : 0;
+    const text = head.toString('latin1', start);
+    const found = CODECS.find(([, markers]) => markers.some(marker => text.includes(marker)));
+    return found ? found[0] : null;
+}
+
+// Resolves { status, headers, body } with at most `limit` bytes of body, or null
+// if the server couldn't be reached within `timeout` ms.
+function request(url, headers, { method, limit = 0, timeout, redirects = 3 }) {
+    return new Promise(resolve => {
+        const lib = url.startsWith('https') ? https : http;
+        const req = lib.request(url, {
+            method,
+            headers: limit ? { ...headers, range: `bytes=0-${limit - 1}` } : headers
+        }, res => {
+            if (REDIRECTS.includes(res.statusCode) && res.headers.location && redirects > 0) {
+                res.destroy();
+                return resolve(request(new URL(res.headers.location, url).href, headers, { method, limit, timeout, redirects: redirects - 1 }));
+            }
+            const chunks = [];
+            let length = 0;
+            const finish = () => {
+                res.destroy();
+                resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).subarray(0, limit) });
+            };
+            // A CDN that ignores Range sends the whole file: stop once we have enough.
+            res.on('data', chunk => {
+                chunks.push(chunk);
+                length += chunk.length;
+                if (length >= limit) finish();
+            });
+            res.on('end', finish);
+            res.on('error', () => resolve(null));
+        });
+        req.on('error', () => resolve(null));
+        req.setTimeout(timeout, () => req.destroy(new Error(`Probe timeout for ${url}`)));
+        req.end();
+    });
+}
+
+// Resolves { status, size, container, codec } (size in bytes; anything not found
+// is null), or null if the URL couldn't be reached or didn't answer with a video.
+async function probeMedia(url, headers = {}, { timeout = 5000, bytes = 64 * 1024 } = {}) {
+    const head = await request(url, headers, { method: 'HEAD', timeout });
+    // Some CDNs refuse HEAD (405/501); the range read below still tells.
+    const headOk = head && head.status < 400;
+    if (!head || (!headOk && ![405, 501].includes(head.status))) return null;
+    const range = await request(url, headers, { method: 'GET', limit: bytes, timeout });
+    if (!range || range.status >= 400) return null;
+
+    // Content-Range ("bytes 0-65535/123456789") has the full size when HEAD didn't.
+    const total = (range.headers['content-range'] || '').split('/')[1];
+    const size = (headOk && Number(head.headers['content-length'])) || Number(total) ||
+        (range.status === 200 && Number(range.headers['content-length'])) || null;
+    return {
+        status: range.status,
+        size,
+        container: detectContainer(range.body, range.headers['content-type']),
+        codec: detectCodec(range.body)
+    };
+}
+
+module.exports = { probeMedia, detectContainer, detectCodec };
@@ -0,0 +1,94 @@
+// Minimal Prometheus instrumentation for /metrics (text exposition format
+// 0.0.4), so instances can be scraped without a client library or any
+// external service. Values live in-process and reset on restart.
+
+const metrics = [];
+
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(k => [k, String(labels[k])]));
+}
+
+function formatLabels(pairs) {
+    if (!pairs.length) return '';
+    const escape = v => v.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    return `{${pairs.map(([k, v]) => `${k}="${escape(v)}"`).join(',')}}`;
+}
+
+function header(name, help, type) {
+    return `# HELP ${name} ${help}\n# TYPE ${name} ${type}\n`;
+}
+
+function counter(name, help) {
+    const values = new Map();
+    const metric = {
+        inc(labels = {}, n = 1) {
+            const key = labelKey(labels);
+            values.set(key, (values.get(key) || 0) + n);
+        },
+        render() {
+            let out = header(name, help, 'counter');
+            for (const [key, value] of values) out += `${name}${formatLabels(JSON.parse(key))} ${value}\n`;
+            return out;
+        }
+    };
+    metrics.push(metric);
+    return metric;
+}
+
+// Default buckets in seconds, from a cached HTTP hit up to a slow Chrome scrape.
+const DEFAULT_BUCKETS = [0.005, 0.025, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    const metric = {
+        observe(labels, seconds) {
+            const key = labelKey(labels);
+            if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+            const s = series.get(key);
+            buckets.forEach((le, i) => { if (seconds <= le) s.counts[i]++; });
+            s.sum += seconds;
+            s.count++;
+        },
+        // Returns a function that records the time elapsed since startTimer(),
+        // optionally with extra labels only known at the end (e.g. the outcome).
+        startTimer(labels = {}) {
+            const start = process.hrtime.bigint();
+            return (more = {}) => metric.observe({ ...labels, ...more }, Number(process.hrtime.bigint() - start) / 1e9);
+        },
+        render() {
+            let out = header(name, help, 'histogram');
+            for (const [key, s] of series) {
+                const pairs = JSON.parse(key);
+                buckets.forEach((le, i) => {
+                    out += `${name}_bucket${formatLabels([...pairs, ['le', String(le)]])} ${s.counts[i]}\n`;
+                });
+                out += `${name}_bucket${formatLabels([...pairs, ['le', '+Inf']])} ${s.count}\n`;
+                out += `${name}_sum${formatLabels(pairs)} ${s.sum}\n`;
+                out += `${name}_count${formatLabels(pairs)} ${s.count}\n`;
+            }
+            return out;
+        }
+    };
+    metrics.push(metric);
+    return metric;
+}
+
+// Metric whose samples are read from elsewhere at scrape time; collect()
+// returns [{ labels, value }].
+function collected(name, help, type, collect) {
+    const metric = {
+        render() {
+            let out = header(name, help, type);
+            for (const { labels, value } of collect()) out += `${name}${formatLabels(JSON.parse(labelKey(labels)))} ${value}\n`;
+            return out;
+        }
+    };
+    metrics.push(metric);
+    return metric;
+}
+
+function renderMetrics() {
+    return metrics.map(m => m.render()).join('');
+}
+
+module.exports = { counter, histogram, collected, renderMetrics };
@@ -0,0 +1,248 @@
+// Bounded pool of browser pages. Every scrape that needs Chrome goes through
+// run(): at most `size` pages are open at once across the whole process, waiting
+// tasks start in priority order (lower number first, FIFO within a priority), a
+// task that runs past its timeout has its page closed, and the browser is
+// replaced after `maxPagesPerBrowser` pages or once its process tree grows past
+// `maxRssMb`. A task whose browser disconnects under it (Chrome crashed or was
+// killed) runs again on a fresh browser, up to `crashRetries` times.
+const fs = require('fs');
+
+const MB = 1024 * 1024;
+const RSS_CHECK_INTERVAL = 15 * 1000;
+
+function browserCrashedError(message) {
+    const error = new Error(message);
+    error.code = 'BROWSER_CRASHED';
+    return error;
+}
+
+function isBrowserCrash(error) {
+    return Boolean(error) && error.code === 'BROWSER_CRASHED';
+}
+
+// Memory of a process and all its descendants (Chrome's renderer, GPU and utility
+// processes) in MB, from /proc. Uses PSS, which splits shared pages between the
+// processes mapping them; summing plain RSS would count Chrome's shared code once
+// per process. null where /proc isn't available.
+function processTreeRssMb(rootPid) {
+    let pids;
+    try {
+        pids = fs.readdirSync('/proc').filter(name => /^\d+$/.test(name));
+    } catch (e) {
+        return null;
+    }
+    const children = new Map();
+    for (const pid of pids) {
+        try {
+            const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+            // Fields after "(comm)": state, ppid, ...
+            const ppid = stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1];
+            if (!children.has(ppid)) children.set(ppid, []);
+            children.get(ppid).push(pid);
+        } catch (e) {
+            // Exited while we were looking.
+        }
+    }
+    let kb = 0;
+    const pending = [String(rootPid)];
+    while (pending.length) {
+        const pid = pending.pop();
+        try {
+            const match = fs.readFileSync(`/proc/${pid}/smaps_rollup`, 'utf8').match(/^Pss:\s+(\d+) kB/m) ||
+                fs.readFileSync(`/proc/${pid}/status`, 'utf8').match(/^VmRSS:\s+(\d+) kB/m);
+            if (match) kb += Number(match[1]);
+        } catch (e) {
+            continue;
+        }
+        pending.push(...(children.get(pid) || []));
+    }
+    return kb * 1024 / MB;
+}
+
+// `launch()` resolves to a Puppeteer browser and `close(browser)` disposes of one.
+// `idleTimeout` (ms) closes the browser once nothing has used it for that long;
+// null keeps it running between tasks. `onStart(task)` sees each task as it
+// leaves the queue ({ priority, label, waitedMs }).
+function createPagePool({
+    launch,
+    close,
+    size = 3,
+    taskTimeout = 120 * 1000,
+    maxPagesPerBrowser = 0,
+    maxRssMb = 0,
+    idleTimeout = null,
+    crashRetries = 1,
+    onStart = () => {},
+    log = () => {}
+}) {
+    const queue = [];
+    let active = 0;
+    let current = null; // { ready, browser, opened, active, retiring, closing, crashed }
+    let idleTimer = null;
+    let closed = false;
+    const stats = { launched: 0, recycled: 0, timeouts: 0, tasks: 0, failed: 0, crashes: 0, retried: 0 };
+
+    function startBrowser() {
+        const state = { ready: null, browser: null, opened: 0, active: 0, retiring: false, closing: false, crashed: false, checkedAt: Date.now() };
+        state.ready = launch().then(browser => {
+            state.browser = browser;
+            stats.launched++;
+            browser.on('disconnected', () => {
+                if (!state.closing) {
+                    state.crashed = true;
+                    stats.crashes++;
+                    log(`Browser disconnected with ${state.active} task(s) running`);
+                }
+                if (current === state) current = null;
+                pump();
+            });
+            return browser;
+        });
+        // A failed launch is reported to the task that triggered it; the next task tries again.
+        state.ready.catch(() => {
+            if (current === state) current = null;
+        });
+        return state;
+    }
+
+    function retire(state, reason) {
+        if (state.retiring) return;
+        state.retiring = true;
+        stats.recycled++;
+        log(`Recycling browser: ${reason}`);
+    }
+
+    async function closeState(state) {
+        state.closing = true;
+        if (current === state) current = null;
+        const browser = await state.ready.catch(() => null);
+        if (browser) await close(browser);
+    }
+
+    function checkMemory(state) {
+        if (!maxRssMb || !state.browser || Date.now() - state.checkedAt < RSS_CHECK_INTERVAL) return;
+        state.checkedAt = Date.now();
+        const pid = state.browser.process()?.pid;
+        const rss = pid ? processTreeRssMb(pid) : null;
+        if (rss !== null && rss > maxRssMb) retire(state, `using ${Math.round(rss)} MB, limit is ${maxRssMb} MB`);
+    }
+
+    function pump() {
+        while (!closed && active < size && queue.length) {
+            if (current) checkMemory(current);
+            if (current && current.retiring) {
+                // Let the old browser drain before starting its replacement, so
+                // there are never two of them in memory.
+                if (current.active > 0) return;
+                closeState(current);
+            }
+            if (!current) current = startBrowser();
+            execute(queue.shift(), current);
+        }
+    }
+
+    async function execute(task, state) {
+        clearTimeout(idleTimer);
+        onStart({ priority: task.priority, label: task.label, waitedMs: Date.now() - task.queuedAt });
+        active++;
+        state.active++;
+        state.opened++;
+        if (maxPagesPerBrowser && state.opened >= maxPagesPerBrowser) retire(state, `${state.opened} pages opened`);
+
+        let page = null;
+        let timer = null;
+        let timedOut = false;
+        try {
+            const browser = await state.ready;
+            page = await browser.newPage();
+            const work = Promise.resolve().then(() => task.fn(page));
+            // Keep a task that outlives its timeout from surfacing as unhandled.
+            work.catch(() => {});
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => {
+                    timedOut = true;
+                    stats.timeouts++;
+                    reject(new Error(`Browser task${task.label ? ` ${task.label}` : ''} timed out after ${task.timeout / 1000}s`));
+                }, task.timeout);
+            });
+            task.resolve(await Promise.race([work, timeout]));
+        } catch (error) {
+            // Whatever the page call failed with, a browser that went away under it is
+            // the cause: try again on a new one (the disconnect cleared `current`).
+            const crashed = state.crashed || (state.browser && !state.closing && state.browser.isConnected?.() === false);
+            if (crashed && !closed && task.attempt < crashRetries) {
+                task.attempt++;
+                stats.retried++;
+                log(`Retrying browser task${task.label ? ` ${task.label}` : ''} on a fresh browser`);
+                enqueue(task);
+            } else {
+                stats.failed++;
+                task.reject(crashed ? browserCrashedError(`Browser disconnected during task${task.label ? ` ${task.label}` : ''}: ${error.message}`) : error);
+            }
+        } finally {
+            clearTimeout(timer);
+            stats.tasks++;
+            if (page) {
+                // A stuck page may not even close cleanly; don't hold the slot for it.
+                const closing = page.close().catch(() => {});
+                if (!timedOut) await closing;
+            }
+            active--;
+            state.active--;
+            if (state.retiring && state.active === 0) closeState(state);
+            if (active === 0 && queue.length === 0 && idleTimeout !== null && current === state) {
+                idleTimer = setTimeout(() => {
+                    if (active === 0 && current === state) closeState(state);
+                }, idleTimeout);
+                idleTimer.unref?.();
+            }
+            pump();
+        }
+    }
+
+    // Resolves with fn(page)'s result; the page is opened for the task and closed after.
+    // Lower priority values run first; equal priorities keep their arrival order.
+    function enqueue(task) {
+        const at = queue.findIndex(t => t.priority > task.priority);
+        if (at === -1) queue.push(task);
+        else queue.splice(at, 0, task);
+    }
+
+    function run(fn, { priority = 0, timeout = taskTimeout, label = '' } = {}) {
+        if (closed) return Promise.reject(new Error('Browser pool is closed'));
+        return new Promise((resolve, reject) => {
+            enqueue({ fn, priority, timeout, label, resolve, reject, queuedAt: Date.now(), attempt: 0 });
+            pump();
+        });
+    }
+
+    // Start the browser ahead of the first task (persistent mode).
+    function warm() {
+        if (closed) return Promise.reject(new Error('Browser pool is closed'));
+        if (!current) current = startBrowser();
+        return current.ready;
+    }
+
+    // Reject everything still queued and close the browser.
+    async function shutdown() {
+        closed = true;
+        clearTimeout(idleTimer);
+        for (const task of queue.splice(0)) task.reject(new Error('Browser pool is closed'));
+        if (current) await closeState(current);
+    }
+
+    function snapshot() {
+        return {
+            size,
+            active,
+            queued: queue.length,
+            oldestQueuedMs: queue.length ? Date.now() - Math.min(...queue.map(t => t.queuedAt)) : 0,
+            browserPages: current ? current.opened : 0,
+            ...stats
+        };
+    }
+
+    return { run, warm, shutdown, stats: snapshot };
+}
+
+module.exports = { createPagePool, processTreeRssMb, isBrowserCrash };
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+// /proxy/<token> streams a video through this server so the CDN sees the
+// Referer/Origin it expects. The token is the base64url video URL prefixed with
+// an HMAC of it, so the endpoint only relays URLs this addon handed out and
+// can't be used as an open proxy. Set PROXY_SECRET to keep tokens valid across
+// restarts; without it a random secret is generated per process.
+const SECRET = process.env.PROXY_SECRET || crypto.randomBytes(32).toString('hex');
+const SIGNATURE_LENGTH = 22; // 16 bytes of HMAC in base64url
+
+function sign(url) {
+    return crypto.createHmac('sha256', SECRET).update(url).digest().subarray(0, 16).toString('base64url');
+}
+
+function createProxyToken(url) {
+    return sign(url) + Buffer.from(url).toString('base64url');
+}
+
+// Token -> video URL, or null when it's malformed or the signature doesn't match.
+function readProxyToken(token) {
+    const text = String(token || '');
+    const url = Buffer.from(text.slice(SIGNATURE_LENGTH), 'base64url').toString('utf8');
+    if (!/^https?:\/\//i.test(url) || text.length <= SIGNATURE_LENGTH) return null;
+    // Compared as bytes: characters outside base64url (which decoding skips) leave
+    // the signature short, and timingSafeEqual throws on a length mismatch.
+    const signature = Buffer.from(text.slice(0, SIGNATURE_LENGTH), 'base64url');
+    const expected = Buffer.from(sign(url), 'base64url');
+    return signature.length === expected.length && crypto.timingSafeEqual(signature, expected) ? url : null;
+}
+
+// Request headers passed through to the CDN (seeking and conditional requests).
+const FORWARD_REQUEST = ['range', 'if-range', 'if-none-match', 'if-modified-since'];
+// Response headers passed back to the player.
+const FORWARD_RESPONSE = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'etag', 'last-modified', 'cache-control'];
+
+// Pipe url to res with the given upstream headers, honoring the client's Range.
+// Redirects are followed server-side so the player never talks to the CDN.
+function proxyStream(url, req, res, headers, redirects = 3) {
+    const lib = url.startsWith('https') ? https : http;
+    const upstreamHeaders = { ...headers };
+    for (const name of FORWARD_REQUEST) {
+        if (req.headers[name]) upstreamHeaders[name] = req.headers[name];
+    }
+
+    const upstream = lib.request(url, { method: req.method === 'HEAD' ? 'HEAD' : 'GET', headers: upstreamHeaders }, up => {
+        if ([301, 302, 303, 307, 308].includes(up.statusCode) && up.headers.location && redirects > 0) {
+            up.resume();
+            return proxyStream(new URL(up.headers.location, url).href, req, res, headers, redirects - 1);
+        }
+        res.status(up.statusCode);
+        for (const name of FORWARD_RESPONSE) {
+            if (up.headers[name]) res.set(name, up.headers[name]);
+        }
+        up.pipe(res);
+    });
+
+    upstream.on('error', err => {
+        console.error('Stream proxy error:', err.message);
+        if (!res.headersSent) res.status(502).end();
+        else res.destroy();
+    });
+    upstream.setTimeout(30000, () => upstream.destroy(new Error(`Proxy timeout for ${url}`)));
+    // Stop pulling from the CDN as soon as the player goes away (seeks abort the old request).
+    res.on('close', () => upstream.destroy());
+    upstream.end();
+}
+
+// Check that a video URL still answers, without downloading it: a HEAD request,
+// or a one-byte range read where the CDN doesn't allow HEAD. Resolves the final
+// status code, or null if the CDN couldn't be reached within `timeout` ms.
+function probeStream(url, headers, { timeout = 5000, method = 'HEAD', redirects = 3 } = {}) {
+    return new Promise(resolve => {
+        const lib = url.startsWith('https') ? https : http;
+        const probe = lib.request(url, {
+            method,
+            headers: method === 'GET' ? { ...headers, range: 'bytes=0-0' } : headers
+        }, up => {
+            up.destroy();
+            if ([301, 302, 303, 307, 308].includes(up.statusCode) && up.headers.location && redirects > 0) {
+                return resolve(probeStream(new URL(up.headers.location, url).href, headers, { timeout, method, redirects: redirects - 1 }));
+            }
+            if (method === 'HEAD' && [405, 501].includes(up.statusCode)) {
+                return resolve(probeStream(url, headers, { timeout, method: 'GET', redirects }));
+            }
+            resolve(up.statusCode);
+        });
+        probe.on('error', () => resolve(null));
+        probe.setTimeout(timeout, () => probe.destroy(new Error(`Probe timeout for ${url}`)));
+        probe.end();
+    });
+}
+
+module.exports = { createProxyToken, readProxyToken, proxyStream, probeStream };
@@ -0,0 +1,361 @@
+// HTML extraction shared by both scraping paths: the plain-HTTP one parses the
+// server response directly, the Puppeteer one parses page.content() once the
+// player script has run. Both therefore produce exactly the same shapes.
+const cheerio = require('cheerio');
+
+// Resolve href/src attributes against the page they were found on, the way
+// the DOM's element.href / img.src would.
+function resolveUrl(value, pageUrl) {
+    if (!value) return '';
+    try {
+        return new URL(value, pageUrl).href;
+    } catch (e) {
+        return '';
+    }
+}
+
+// hstream.moe returns 25 items per search page.
+const SITE_PAGE_SIZE = 25;
+
+// Extraction is defined as versioned strategies, tried in order. Each result is
+// validated, and the first strategy whose output looks like a real page wins; when
+// hstream changes its markup the next one takes over, and when none validates the
+// page is reported as degraded (see recordStrategy) so callers don't cache it.
+const LISTING_STRATEGIES = [
+    { name: 'livewire-cards@2024', cards: ['div[wire\\:key^="episode-"]'] },
+    {
+        name: 'grid-cells@2023',
+        cards: [
+            'div.grid > div',
+            'div.grid > a',
+            'div[role="grid"] > div',
+            'div.grid div[role="gridcell"]',
+            'div.relative.p-1.mb-8.w-full',
+            'div.grid div.relative'
+        ]
+    },
+    // Last resort: every episode link is a card of its own.
+    { name: 'episode-links@fallback', cards: ['a[href*="/hentai/"]'] }
+];
+
+// Per-strategy success counts and the current degraded state, for /status.
+const strategyStats = {
+    listing: { strategies: {}, degraded: false, since: null, problems: [] },
+    details: { strategies: {}, degraded: false, since: null, problems: [] }
+};
+const WARN_INTERVAL = 10 * 60 * 1000;
+const lastWarning = { listing: 0, details: 0 };
+
+function recordStrategy(kind, name, ok) {
+    const stats = strategyStats[kind].strategies[name] = strategyStats[kind].strategies[name] || { ok: 0, failed: 0 };
+    stats[ok ? 'ok' : 'failed']++;
+}
+
+// Update the degraded flag after a page; warn loudly (throttled) while no strategy works.
+function recordOutcome(kind, pageUrl, problems) {
+    const state = strategyStats[kind];
+    if (!problems) {
+        if (state.degraded) console.log(`Scraping ${kind} pages works again (${pageUrl})`);
+        Object.assign(state, { degraded: false, since: null, problems: [] });
+        return;
+    }
+    if (!state.degraded) state.since = Date.now();
+    Object.assign(state, { degraded: true, problems });
+    if (Date.now() - lastWarning[kind] >= WARN_INTERVAL) {
+        lastWarning[kind] = Date.now();
+        console.warn(`WARNING: every ${kind} selector strategy failed validation for ${pageUrl}; ` +
+            `hstream's markup has probably changed. Results are not cached. Problems: ${problems.join('; ')}`);
+    }
+}
+
+function scrapeHealth() {
+    return JSON.parse(JSON.stringify(strategyStats));
+}
+
+function extractCards($, selectors, pageUrl) {
+    const results = [];
+    const seen = new Set();
+    const containers = selectors.flatMap(sel => $(sel).toArray());
+
+    containers.forEach((el, index) => {
+        try {
+            const item = $(el);
+            const link = el.tagName === 'a' ? item : item.find('a').first();
+            const href = resolveUrl(link.attr('href'), pageUrl);
+            if (!href || !href.includes('/hentai/')) return;
+
+            const episodeMatch = href.match(/-(\d+)$/);
+            const episodeNumber = episodeMatch ? episodeMatch[1] : null;
+
+            const urlParts = href.split('/hentai/');
+            if (urlParts.length < 2) return;
+
+            const rawId = urlParts[1];
+            const baseId = rawId.replace(/\/?(?:-watch)?(?:-online)?(?:-free)?(?:-streaming)?(?:-sub)?(?:-eng)?(?:-ita)?(?:-\d+)?$/, '');
+            const id = episodeNumber ? `${baseId}-${episodeNumber}` : baseId;
+            if (!id) return;
+
+            const fullId = `hstream:${id}`;
+            if (seen.has(fullId)) return;
+
+            const titleCandidates = [
+                link.find('div.absolute p.text-sm'),
+                link.find('p.text-sm'),
+                item.find('div.absolute p.text-sm'),
+                item.find('p.text-sm'),
+                link.find('[title]'),
+                item.find('[title]'),
+                link.find('img[alt]'),
+                item.find('img[alt]')
+            ];
+
+            let title = 'Unknown Title';
+            for (const candidate of titleCandidates) {
+                const c = candidate.first();
+                if (!c.length) continue;
+                const text = c.text().trim() || (c.attr('title') || '').trim() || (c.attr('alt') || '').trim();
+                if (text) {
+                    title = text;
+                    break;
+                }
+            }
+
+            // Append the episode number only if the title doesn't already end with it.
+            if (episodeMatch && !new RegExp(`-\\s*${episodeMatch[1]}\\s*$`).test(title)) {
+                title = `${title} - ${episodeMatch[1]}`;
+            }
+
+            let poster = '';
+            for (const img of [link.find('img').first(), item.find('img').first()]) {
+                if (img.length) {
+                    poster = resolveUrl(img.attr('src') || img.attr('data-src'), pageUrl);
+                    if (poster) break;
+                }
+            }
+
+            // Card badges: either the quality (e.g. "4k | FHD 48fps") and/or
+            // content tags (e.g. "Scat + Horror"), depending on the title.
+            const badges = [...new Set(
+                link.find('div.rounded-full, span.rounded-full').toArray()
+                    .map(b => $(b).text().replace(/\s+/g, ' ').trim())
+                    .filter(t => t && t.length <= 50 && !/^\d+$/.test(t))
+            )];
+            const qualityBadge = badges.join(' | ');
+            // View count next to the eye icon.
+            const eye = link.find('i.fa-eye').first().length ? link.find('i.fa-eye').first() : item.find('i.fa-eye').first();
+            const views = eye.length ? eye.parent().text().trim() : '';
+
+            seen.add(fullId);
+            results.push({
+                id: fullId,
+                type: 'movie',
+                name: title,
+                poster: poster,
+                posterShape: 'poster',
+                link: href,
+                baseId: baseId,
+                episodeNumber: episodeNumber,
+                quality: qualityBadge,
+                views: views
+            });
+        } catch (err) {
+            console.error(`Error processing item ${index}:`, err);
+        }
+    });
+    return results;
+}
+
+// Problems that make a listing result untrustworthy: no or too few of the page's
+// episode links captured, more items than a page holds, or cards without a title
+// or poster. An empty result is fine when the page has no episode links at all.
+function validateListing(items, $, pageUrl) {
+    const problems = [];
+    const links = new Set($('a[href*="/hentai/"]').toArray()
+        .map(a => resolveUrl($(a).attr('href'), pageUrl).split(/[?#]/)[0])
+        .filter(href => /\/hentai\/[^/]+$/.test(href)));
+    const expected = Math.min(links.size, SITE_PAGE_SIZE);
+
+    if (items.length === 0 && expected > 0) problems.push(`no cards matched ${links.size} episode links`);
+    else if (items.length < expected * 0.8) problems.push(`only ${items.length} of ${expected} episode links matched`);
+    if (items.length > SITE_PAGE_SIZE * 1.2) problems.push(`${items.length} items, more than a ${SITE_PAGE_SIZE}-item page`);
+    const untitled = items.filter(i => i.name.startsWith('Unknown Title')).length;
+    if (untitled > items.length * 0.1) problems.push(`${untitled} cards without a title`);
+    const noPoster = items.filter(i => !i.poster).length;
+    if (noPoster > items.length * 0.1) problems.push(`${noPoster} cards without a poster`);
+    return problems;
+}
+
+// Listing/search page -> { items, strategy, degraded, problems }: the first
+// strategy that validates, or, when none does, the one with the most items,
+// flagged as degraded.
+function extractListing(html, pageUrl) {
+    const $ = cheerio.load(html);
+    let best = null;
+    for (const strategy of LISTING_STRATEGIES) {
+        const items = extractCards($, strategy.cards, pageUrl);
+        const problems = validateListing(items, $, pageUrl);
+        recordStrategy('listing', strategy.name, problems.length === 0);
+        if (problems.length === 0) {
+            recordOutcome('listing', pageUrl, null);
+            return { items, strategy: strategy.name, degraded: false, problems };
+        }
+        if (!best || items.length > best.items.length) best = { items, strategy: strategy.name, degraded: true, problems };
+    }
+    recordOutcome('listing', pageUrl, best.problems.map(p => `${best.strategy}: ${p}`));
+    return best;
+}
+
+// Detail page strategies: where the title and the video <source> list live. A
+// page validates when it yields a real title; no sources is expected on the HTTP
+// path (the player injects them) and is handled by the caller.
+const DETAIL_STRATEGIES = [
+    {
+        name: 'player-page@2024',
+        title: $ => $('h1').first().text().trim(),
+        sources: 'video source[src]'
+    },
+    {
+        name: 'head-meta@fallback',
+        title: $ => ($('meta[property="og:title"]').attr('content') || $('title').first().text())
+            .replace(' - HStream', '').replace(/in 4k.*$/, '').trim(),
+        sources: 'source[src], video[src]'
+    }
+];
+
+function validateDetails(title) {
+    return title && !/^(hstream|unknown)$/i.test(title) ? [] : ['no title'];
+}
+
+// Episode detail page -> sources, subtitle links, meta and sibling episodes, plus
+// the strategy used and whether the page degraded (no strategy validated).
+function parseDetails(html, pageUrl) {
+    const $ = cheerio.load(html);
+
+    let chosen = null;
+    for (const strategy of DETAIL_STRATEGIES) {
+        const problems = validateDetails(strategy.title($));
+        recordStrategy('details', strategy.name, problems.length === 0);
+        if (problems.length === 0) {
+            chosen = strategy;
+            break;
+        }
+    }
+    recordOutcome('details', pageUrl, chosen ? null : DETAIL_STRATEGIES.map(st => `${st.name}: no title`));
+    const strategy = chosen || DETAIL_STRATEGIES[DETAIL_STRATEGIES.length - 1];
+
+    // --- video sources (one per quality) ---
+    const sources = [];
+    const seen = new Set();
+    $(strategy.sources).each((_, el) => {
+        const source = $(el);
+        const src = source.attr('src');
+        if (!src || !/^https?:/i.test(src) || seen.has(src)) return;
+        seen.add(src);
+        sources.push({
+            url: src,
+            size: source.attr('size') || source.attr('label') || source.attr('title') || '',
+            mode: source.attr('mode') || ''
+        });
+    });
+
+    // --- subtitles: direct download links (.ass / .srt / .vtt) ---
+    const subtitles = [];
+    const subSeen = new Set();
+    $('a[href*=".ass"], a[href*=".srt"], a[href*=".vtt"]').each((_, el) => {
+        const a = $(el);
+        const href = a.attr('href');
+        if (!href || subSeen.has(href)) return;
+        subSeen.add(href);
+        // Language: prefer visible text, fall back to the download filename.
+        const text = a.text().trim();
+        const dl = a.attr('download') || '';
+        const langName = (text.match(/[A-Za-z]+/) || dl.match(/-([A-Za-z]+)\.(?:ass|srt|vtt)$/i) || [])[0] ||
+                         (dl.match(/-([A-Za-z]+)\.(?:ass|srt|vtt)$/i) || [])[1] || 'English';
+        const isAuto = text.toLowerCase().includes('auto');
+        const format = (href.split('.').pop() || '').toLowerCase().split(/[?#]/)[0];
+        subtitles.push({ url: href, langName: langName.trim(), isAuto, format });
+    });
+
+    // --- meta ---
+    const title = strategy.title($);
+    const japaneseTitle = $('h2.inline').first().text().trim() || undefined;
+    const description = $('meta[name="description"]').attr('content') ||
+                        $('meta[property="og:description"]').attr('content') ||
+                        $('.text-gray-800.dark\\:text-gray-200.leading-tight').first().text().trim() ||
+                        '';
+    const releaseInfo = $('a[data-te-toggle="tooltip"][title*="Released"]').first().text()
+                        .match(/\d{4}-\d{2}-\d{2}/)?.[0];
+    const studio = $('a[href*="studios"], a[href*="studio"], a[href*="brand"]').first().text().trim() || undefined;
+    // Genres/tags links look like ?tags[0]=big-boobs . Drop the pure quality
+    // tags (4k / 48fps) since quality is already a separate stream choice.
+    const genres = [...new Set(
+        $('a[href*="tags%5B"], a[href*="tags["]').toArray()
+            .map(tag => $(tag).text().replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .filter(t => !/^(4k|48fps|4k\s*48fps)$/i.test(t))
+    )];
+    const eye = $('a.text-xl i.fa-eye').first();
+    const viewCount = eye.length && eye[0].next ? $(eye[0].next).text().trim() : undefined;
+    const episodeNumber = title.match(/\s*-\s*(\d+)$/)?.[1];
+    const thumbnail = resolveUrl($('meta[property="og:image"]').attr('content'), pageUrl);
+
+    // --- sibling episodes: links to /hentai/<same base>-<n> on this page ---
+    const episodes = [];
+    const base = new URL(pageUrl).pathname.split('/hentai/')[1]?.replace(/\/$/, '').replace(/-\d+$/, '');
+    const epSeen = new Set();
+    $('a[href*="/hentai/"]').each((_, el) => {
+        const a = $(el);
+        const href = resolveUrl(a.attr('href'), pageUrl);
+        const m = href.match(/\/hentai\/([^/?#]+)-(\d+)\/?(?:[?#].*)?$/);
+        if (!m || m[1] !== base || epSeen.has(m[2])) return;
+        epSeen.add(m[2]);
+        const img = a.find('img').first();
+        episodes.push({
+            number: parseInt(m[2], 10),
+            link: href.split(/[?#]/)[0],
+            thumbnail: img.length ? resolveUrl(img.attr('src') || img.attr('data-src'), pageUrl) : ''
+        });
+    });
+
+    return {
+        sources, subtitles, title, japaneseTitle, description, releaseInfo, studio, genres, viewCount, episodeNumber, thumbnail, episodes,
+        strategy: strategy.name,
+        degraded: !chosen
+    };
+}
+
+// Studio filter list ({ name, slug }) from the search page.
+function parseStudios(html, pageUrl) {
+    const $ = cheerio.load(html);
+    const found = new Map();
+    const add = (slug, name) => {
+        slug = (slug || '').trim();
+        name = (name || '').replace(/\s+/g, ' ').trim();
+        if (slug && name && !found.has(slug)) found.set(slug, name);
+    };
+    // Filter links: ?studios[0]=pink-pineapple
+    $('a[href*="studios%5B"], a[href*="studios["]').each((_, el) => {
+        const href = resolveUrl($(el).attr('href'), pageUrl);
+        if (!href) return;
+        for (const [key, value] of new URL(href).searchParams) {
+            if (key.startsWith('studios')) add(value, $(el).text());
+        }
+    });
+    // Filter checkboxes bound to the studios array
+    $('input[value][name*="studios"], input[value][wire\\:model*="studios"], input[value][x-model*="studios"]').each((_, el) => {
+        const input = $(el);
+        const id = input.attr('id');
+        const label = id ? $(`label[for="${id}"]`).first() : $();
+        const text = label.length ? label.text() : input.closest('label').text();
+        add(input.attr('value'), text || input.attr('value'));
+    });
+    return [...found].map(([slug, name]) => ({ slug, name }));
+}
+
+module.exports = {
+    SITE_PAGE_SIZE,
+    extractListing,
+    scrapeHealth,
+    parseDetails,
+    parseStudios
+};
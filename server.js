@@ -1,9 +1,62 @@
 #!/usr/bin/env node
+// Standalone server: one addon instance (see createAddon() in addon.js) at the root
+// of its own express app, configured from the environment.
+const express = require('express');
+const { createAddon } = require('./addon');
 
-const { serveHTTP, publishToCentral } = require("stremio-addon-sdk")
-const addonInterface = require("./addon")
-serveHTTP(addonInterface, { port: process.env.PORT || 56454 })
+const port = process.env.PORT || 7000;
+// Seconds a shutdown waits for running requests and scrapes (Render kills the
+// process 30s after SIGTERM).
+const SHUTDOWN_TIMEOUT = (Number(process.env.SHUTDOWN_TIMEOUT) || 25) * 1000;
 
-// when you've deployed your addon, un-comment this line
-// publishToCentral("https://my-addon.awesome/manifest.json")
-// for more information on deploying, see: https://github.com/Stremio/stremio-addon-sdk/blob/master/docs/deploying/README.md
+const addon = createAddon();
+const app = express();
+
+// Requests being answered, so a shutdown can wait for them.
+let running = 0;
+let stopping = false;
+app.use((req, res, next) => {
+    running++;
+    res.on('close', () => running--);
+    if (stopping) res.set('Connection', 'close');
+    next();
+});
+app.use(addon.router);
+
+const server = app.listen(port, '0.0.0.0', () => {
+    const { serverUrl, access } = addon;
+    console.log(`Addon running on ${serverUrl}`);
+    if (!process.env.RENDER) {
+        console.log(`Local URL: http://127.0.0.1:${port}`);
+    }
+    if (access.enabled) {
+        console.log(`Private instance: ${access.names.length} access token(s) (${access.names.join(', ')})`);
+        console.log(`Install URL: ${serverUrl}/<token>/manifest.json`);
+        console.log(`Configure: ${serverUrl}/<token>/configure`);
+    } else {
+        console.log(`Install URL: ${serverUrl}/manifest.json`);
+        console.log(`Configure: ${serverUrl}/configure`);
+    }
+    addon.start();
+});
+
+// Graceful shutdown: stop accepting connections, let running requests and scrapes
+// finish within SHUTDOWN_TIMEOUT, then close Chrome and write the caches out. A
+// second signal exits straight away.
+async function shutdown(signal) {
+    if (stopping) process.exit(1);
+    stopping = true;
+    console.log(`${signal} received, shutting down (waiting up to ${SHUTDOWN_TIMEOUT / 1000}s for running requests)`);
+    const deadline = Date.now() + SHUTDOWN_TIMEOUT;
+    server.close();
+    server.closeIdleConnections();
+    while (running && Date.now() < deadline) await new Promise(resolve => setTimeout(resolve, 100));
+    if (running) console.warn(`Dropping ${running} request(s) still running`);
+    server.closeAllConnections();
+    await addon.close({ timeout: Math.max(0, deadline - Date.now()) });
+    console.log('Shutdown complete');
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,128 @@
+// Local index of every title on hstream, built by crawl.js, and the offline fuzzy
+// search the catalog handler answers from. The file is JSON:
+//   { version, crawledAt, complete, series: [{ baseId, title, japaneseTitle, tags,
+//     studio, released, poster, description, episodes: [{ number, id, link }],
+//     detailsMissing }] }
+// with series in the order the crawl met them (most recently released first).
+const fs = require('fs');
+const path = require('path');
+
+const VERSION = 1;
+// Below this a title isn't offered as a match at all.
+const MIN_SCORE = 0.6;
+
+function emptyIndex() {
+    return { version: VERSION, crawledAt: null, complete: false, series: [] };
+}
+
+// An index from an older format is treated as missing, so the next crawl rebuilds it.
+async function loadIndex(file) {
+    try {
+        const index = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        return index.version === VERSION && Array.isArray(index.series) ? index : emptyIndex();
+    } catch (e) {
+        if (e.code !== 'ENOENT') console.error(`Could not load search index ${file}:`, e.message);
+        return emptyIndex();
+    }
+}
+
+// Written to a temp file and renamed into place, like a compacted cache journal,
+// so a running addon never reads half an index.
+function saveIndex(file, index) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify(index));
+    fs.renameSync(tmp, file);
+}
+
+const CJK = /[\u3040-\u30ff\u3400-\u9fff\uff66-\uff9f]/;
+
+// Lowercase, without accents or punctuation, katakana folded into hiragana and
+// romaji long vowels shortened ("Shoujo" and "Shōjo" both become "shojo").
+function normalize(text) {
+    return String(text || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC')
+        .replace(/[\u30a1-\u30f6]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60))
+        .replace(/ou|oo/g, 'o').replace(/uu/g, 'u')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+// Optimal string alignment distance: edits, counting a swap of neighbours as one.
+function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+// A query word matches a title word it starts, or one within a typo or two of it.
+function wordMatches(term, word) {
+    if (term.length >= 2 && word.startsWith(term)) return true;
+    const typos = term.length <= 3 ? 0 : term.length <= 6 ? 1 : 2;
+    return typos > 0 && Math.abs(term.length - word.length) <= typos && editDistance(term, word) <= typos;
+}
+
+function bigrams(text) {
+    const compact = text.replace(/ /g, '');
+    const grams = new Set();
+    for (let i = 0; i < compact.length - 1; i++) grams.add(compact.slice(i, i + 2));
+    return grams;
+}
+
+// 0..1: how well a normalized query matches one normalized title.
+function fieldScore(query, text) {
+    if (!text) return 0;
+    if (text === query) return 1;
+    if (text.includes(query)) return text.startsWith(query) ? 0.95 : 0.9;
+    // Run-together romaji ("kuroinu" for "Kuro Inu") and the reverse.
+    if (text.replace(/ /g, '').includes(query.replace(/ /g, ''))) return 0.85;
+
+    const words = text.split(' ');
+    const terms = query.split(' ');
+    const matched = terms.filter(term => words.some(word => wordMatches(term, word))).length;
+    let score = 0.8 * matched / terms.length;
+
+    // Japanese has no spaces to split on: share of the query's character pairs
+    // found in the title.
+    if (CJK.test(query)) {
+        const wanted = bigrams(query);
+        const have = bigrams(text);
+        if (wanted.size) score = Math.max(score, 0.8 * [...wanted].filter(g => have.has(g)).length / wanted.size);
+    }
+    return score;
+}
+
+// search(query) resolves the index's series matching `query` in English or
+// Japanese, best match first (ties keep index order).
+function createSearch(index) {
+    const entries = index.series.map((series, order) => ({
+        series,
+        order,
+        fields: [series.title, series.japaneseTitle, series.baseId.replace(/-/g, ' ')].map(normalize).filter(Boolean)
+    }));
+    return {
+        size: entries.length,
+        search(query) {
+            const wanted = normalize(query);
+            if (!wanted) return [];
+            return entries
+                .map(entry => ({ entry, score: Math.max(...entry.fields.map(field => fieldScore(wanted, field))) }))
+                .filter(({ score }) => score >= MIN_SCORE)
+                .sort((a, b) => b.score - a.score || a.entry.order - b.entry.order)
+                .map(({ entry }) => entry.series);
+        }
+    };
+}
+
+module.exports = { emptyIndex, loadIndex, saveIndex, createSearch, normalize };
@@ -0,0 +1,91 @@
+// HTML for /status: the same snapshot /status.json returns, as tables.
+const { escapeHtml } = require('./configure');
+
+function formatTime(ms) {
+    return ms ? new Date(ms).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC') : 'never';
+}
+
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return '-';
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+function row(cells, tag = 'td') {
+    return `<tr>${cells.map(c => `<${tag}>${escapeHtml(c)}</${tag}>`).join('')}</tr>`;
+}
+
+function renderStatusPage(status) {
+    const cacheRows = Object.entries(status.caches).map(([name, c]) => row([
+        name,
+        c.maxEntries ? `${c.entries} / ${c.maxEntries}` : c.entries,
+        c.maxBytes ? `${formatBytes(c.bytes)} / ${formatBytes(c.maxBytes)}` : formatBytes(c.bytes),
+        c.hitRate === null ? '-' : `${(c.hitRate * 100).toFixed(1)}% (${c.hits}/${c.hits + c.misses})`
+    ])).join('');
+
+    const errorRows = Object.entries(status.errors).map(([stage, count]) => row([stage, count])).join('') ||
+        '<tr><td colspan="2">No errors since startup</td></tr>';
+
+    const scrapingRows = Object.entries(status.scraping).map(([kind, state]) => row([
+        kind,
+        Object.entries(state.strategies).map(([name, c]) => `${name}: ${c.ok} ok, ${c.failed} failed`).join('\n') || 'no pages yet',
+        state.degraded ? `DEGRADED since ${formatTime(state.since)}: ${state.problems.join('; ')}` : 'ok'
+    ])).join('');
+
+    const warning = status.degraded
+        ? '<p class="warning">Every selector strategy is failing: hstream\'s markup has probably changed. Affected results are served but not cached.</p>'
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>HStream - Status</title>
+<style>
+    body { font-family: system-ui, sans-serif; background: #111; color: #eee; max-width: 720px; margin: 40px auto; padding: 0 16px; }
+    h1 { font-size: 1.6em; }
+    h2 { font-size: 1.1em; color: #aaa; margin-top: 28px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #333; }
+    th { color: #aaa; font-weight: normal; }
+    td { white-space: pre-line; }
+    .warning { background: #5a1d1d; border: 1px solid #a33; padding: 8px 12px; }
+</style>
+</head>
+<body>
+<h1>HStream status</h1>
+${warning}
+<table>
+    ${row(['Server URL', status.serverUrl])}
+    ${row(['Up since', formatTime(status.startedAt)])}
+    ${row(['Scraper', status.scraper + (status.lowMemory ? ' (low memory)' : '')])}
+    ${row(['Browser', status.browser.connected ? `connected, ${status.browser.pages} open page(s)` : 'not running'])}
+    ${row(['Page pool', `${status.browser.pool.active} / ${status.browser.pool.size} in use, ${status.browser.pool.queued} queued, ` +
+        `${status.browser.pool.timeouts} timed out, ${status.browser.pool.recycled} recycle(s), ` +
+        `${status.browser.pool.crashes} crash(es), ${status.browser.pool.retried} task(s) retried`])}
+    ${row(['hstream requests', `${status.upstream.inFlight} in flight, ${status.upstream.queued} waiting, ${status.upstream.throttled} throttled answer(s)` +
+        (status.upstream.open ? `; rate-limited, serving cached data until ${formatTime(status.upstream.pausedUntil)}` : '')])}
+    ${row(['Last catalog scrape', formatTime(status.lastSuccess.catalog)])}
+    ${row(['Last detail scrape', formatTime(status.lastSuccess.details)])}
+    ${row(['Last background refresh', formatTime(status.lastSuccess.refresh)])}
+</table>
+<h2>Scraping</h2>
+<table>
+    ${row(['Pages', 'Selector strategies', 'State'], 'th')}
+    ${scrapingRows}
+</table>
+<h2>Caches</h2>
+<table>
+    ${row(['Cache', 'Entries', 'Size', 'Hit rate'], 'th')}
+    ${cacheRows}
+</table>
+<h2>Errors</h2>
+<table>
+    ${row(['Stage', 'Count'], 'th')}
+    ${errorRows}
+</table>
+</body>
+</html>`;
+}
+
+module.exports = { renderStatusPage };
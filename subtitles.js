@@ -0,0 +1,261 @@
+// Subtitle conversion for the /subs/ endpoint. hstream ships .ass files, which
+// Stremio can't render natively, so they are turned into either plain SRT or a
+// WebVTT rendition that keeps what VTT can express: per-line position and
+// alignment (from styles, \an and \pos) and italic/bold/underline.
+
+// Convert an ASS timestamp (H:MM:SS.cs, centiseconds) to milliseconds.
+function assTimeToMs(t) {
+    const m = String(t).trim().match(/(\d+):(\d{2}):(\d{2})[.:](\d{1,3})/);
+    if (!m) return null;
+    const [, h, mm, ss, frac] = m;
+    const cs = frac.length === 2 ? parseInt(frac, 10) * 10 : parseInt(frac.padEnd(3, '0').slice(0, 3), 10);
+    return ((parseInt(h, 10) * 3600 + parseInt(mm, 10) * 60 + parseInt(ss, 10)) * 1000) + cs;
+}
+
+function msToTime(ms, separator) {
+    const h = Math.floor(ms / 3600000);
+    const m = Math.floor((ms % 3600000) / 60000);
+    const s = Math.floor((ms % 60000) / 1000);
+    const millis = ms % 1000;
+    const p = (n, l = 2) => String(n).padStart(l, '0');
+    return `${p(h)}:${p(m)}:${p(s)}${separator}${p(millis, 3)}`;
+}
+
+const msToSrtTime = ms => msToTime(ms, ',');
+const msToVttTime = ms => msToTime(ms, '.');
+
+// Strip ASS override tags / drawing commands and normalise line breaks.
+function stripAssText(text) {
+    return text
+        .replace(/\{[^}]*\}/g, '')   // {\override} blocks
+        .replace(/\\[Nn]/g, '\n')     // hard / soft line breaks
+        .replace(/\\h/g, ' ')          // hard space
+        .replace(/[ \t]+/g, ' ')
+        .trim();
+}
+
+// Split a "Format:"-driven line into a { field: value } object. The last field
+// (Text for events) may itself contain commas, so the tail is re-joined.
+function formatFields(format, line) {
+    const parts = line.replace(/^[^:]*:/, '').split(',');
+    const fields = {};
+    format.forEach((name, i) => {
+        fields[name] = (i === format.length - 1 ? parts.slice(i).join(',') : parts[i] || '').trim();
+    });
+    return fields;
+}
+
+// Parse the sections we need: PlayRes from [Script Info], styles and events.
+// Events keep their raw text; each output format decides what to do with tags.
+function parseAss(ass) {
+    const info = {};
+    const styles = {};
+    const events = [];
+    let section = '';
+    let format = null;
+
+    for (const raw of ass.split(/\r?\n/)) {
+        const line = raw.trim();
+        const header = line.match(/^\[(.+)\]$/);
+        if (header) {
+            section = header[1].toLowerCase();
+            format = null;
+            continue;
+        }
+        if (section === 'script info') {
+            const m = line.match(/^(PlayResX|PlayResY)\s*:\s*(\d+)/i);
+            if (m) info[m[1].toLowerCase()] = parseInt(m[2], 10);
+            continue;
+        }
+        if (section !== 'events' && !/styles$/.test(section)) continue;
+
+        if (/^Format\s*:/i.test(line)) {
+            format = line.replace(/^Format\s*:/i, '').split(',').map(s => s.trim().toLowerCase());
+            continue;
+        }
+        if (!format) continue;
+        if (/^Style\s*:/i.test(line)) {
+            const f = formatFields(format, line);
+            styles[f.name] = {
+                bold: f.bold !== undefined && f.bold !== '0',
+                italic: f.italic !== undefined && f.italic !== '0',
+                underline: f.underline !== undefined && f.underline !== '0',
+                // [V4 Styles] (SSA) uses the legacy 1-3 / +4 / +8 alignment scheme.
+                alignment: section === 'v4 styles' ? legacyAlignment(f.alignment) : parseInt(f.alignment, 10) || 2
+            };
+        } else if (/^Dialogue\s*:/i.test(line) && format.includes('text')) {
+            const f = formatFields(format, line);
+            events.push({
+                start: assTimeToMs(f.start),
+                end: assTimeToMs(f.end),
+                layer: parseInt(f.layer, 10) || 0,
+                style: f.style,
+                text: f.text
+            });
+        }
+    }
+    return { info, styles, events };
+}
+
+// SSA / \a alignment (1-3 bottom, +4 top, +8 middle) -> numpad (\an) alignment.
+function legacyAlignment(value) {
+    const a = parseInt(value, 10) || 2;
+    const column = a & 3 || 2;
+    if (a & 4) return column + 6;
+    if (a & 8) return column + 3;
+    return column;
+}
+
+// Vector drawings (\p1..) have no text meaning; drop the drawn part.
+function stripDrawings(text) {
+    return text.replace(/\{[^}]*\\p[1-9][^}]*\}[^{]*/g, '{}');
+}
+
+function byStartTime(events) {
+    // Layer breaks ties so stacked signs keep their intended order.
+    return [...events].sort((a, b) => (a.start || 0) - (b.start || 0) || a.layer - b.layer);
+}
+
+// Convert a full ASS subtitle file into SRT text that Stremio can render.
+function assToSrt(ass) {
+    let out = '';
+    let n = 1;
+    for (const e of byStartTime(parseAss(ass).events)) {
+        const text = stripAssText(stripDrawings(e.text));
+        if (e.start === null || e.end === null || !text) continue;
+        out += `${n++}\n${msToSrtTime(e.start)} --> ${msToSrtTime(e.end)}\n${text}\n\n`;
+    }
+    return out;
+}
+
+const escapeVtt = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// ASS text with override blocks -> VTT cue text with <i>/<b>/<u> spans, plus the
+// first \an / \a / \pos found (ASS applies those to the whole line).
+function vttCueText(text, style) {
+    const state = { i: style.italic, b: style.bold, u: style.underline };
+    const open = [];
+    let alignment = null;
+    let pos = null;
+    let out = '';
+
+    const closeAll = () => {
+        while (open.length) out += `</${open.pop()}>`;
+    };
+    const reopen = () => {
+        for (const tag of ['i', 'b', 'u']) {
+            if (state[tag]) {
+                out += `<${tag}>`;
+                open.push(tag);
+            }
+        }
+    };
+
+    reopen();
+    for (const part of stripDrawings(text).split(/(\{[^}]*\})/)) {
+        if (!part.startsWith('{')) {
+            out += escapeVtt(part.replace(/\\[Nn]/g, '\n').replace(/\\h/g, ' '));
+            continue;
+        }
+        const before = { ...state };
+        // Anchored per tag so \alpha, \bord, \blur, \iclip etc. aren't mistaken for \a, \b, \i.
+        for (const tag of part.slice(1, -1).split('\\')) {
+            const m = tag.trim().match(/^(?:(an)([1-9])|(a)(\d+)|(pos)\(([^)]*)\)|([ibu])(\d*))$/);
+            if (!m) continue;
+            const name = m[1] || m[3] || m[5] || m[7];
+            const arg = m[2] ?? m[4] ?? m[6] ?? m[8];
+            if (name === 'an' && alignment === null) alignment = parseInt(arg, 10);
+            else if (name === 'a' && alignment === null) alignment = legacyAlignment(arg);
+            else if (name === 'pos' && !pos) {
+                const [x, y] = arg.split(',').map(Number);
+                if (Number.isFinite(x) && Number.isFinite(y)) pos = { x, y };
+            } else if (name.length === 1) {
+                // \b can also carry a font weight (\b700); anything but 0 is bold.
+                state[name] = arg === '' ? !!style[{ i: 'italic', b: 'bold', u: 'underline' }[name]] : arg !== '0';
+            }
+        }
+        if (['i', 'b', 'u'].some(tag => state[tag] !== before[tag])) {
+            closeAll();
+            reopen();
+        }
+    }
+    closeAll();
+
+    const cue = out
+        .replace(/<(\w)><\/\1>/g, '')
+        .split('\n').map(l => l.replace(/[ \t]+/g, ' ').trim()).join('\n')
+        .trim();
+    return { text: cue, alignment, pos };
+}
+
+// Numpad alignment (+ optional \pos in PlayRes coordinates) -> VTT cue settings.
+// Bottom-aligned lines without \pos keep the player's default placement.
+function vttSettings(alignment, pos, info) {
+    const column = (alignment - 1) % 3;          // 0 left, 1 center, 2 right
+    const row = Math.floor((alignment - 1) / 3); // 0 bottom, 1 middle, 2 top
+    const settings = [];
+    const pct = n => `${Math.max(0, Math.min(100, Math.round(n)))}%`;
+
+    if (pos) {
+        const width = info.playresx || 384;
+        const height = info.playresy || 288;
+        settings.push(`line:${pct(pos.y / height * 100)},${['end', 'center', 'start'][row]}`);
+        settings.push(`position:${pct(pos.x / width * 100)},${['line-left', 'center', 'line-right'][column]}`);
+    } else if (row === 2) {
+        settings.push('line:0');
+    } else if (row === 1) {
+        settings.push('line:50%,center');
+    }
+    if (column !== 1) settings.push(`align:${column === 0 ? 'left' : 'right'}`);
+    return settings.join(' ');
+}
+
+// Convert a full ASS subtitle file into WebVTT, one positioned cue per event.
+function assToVtt(ass) {
+    const { info, styles, events } = parseAss(ass);
+    let out = 'WEBVTT\n\n';
+    for (const e of byStartTime(events)) {
+        if (e.start === null || e.end === null) continue;
+        const style = styles[e.style] || styles[e.style?.replace(/^\*/, '')] || styles.Default || { alignment: 2 };
+        const cue = vttCueText(e.text, style);
+        if (!cue.text) continue;
+        const settings = vttSettings(cue.alignment || style.alignment || 2, cue.pos, info);
+        out += `${msToVttTime(e.start)} --> ${msToVttTime(e.end)}${settings ? ` ${settings}` : ''}\n${cue.text}\n\n`;
+    }
+    return out;
+}
+
+// SRT <-> WebVTT for non-ASS sources, which only differ in header and separator.
+function srtToVtt(srt) {
+    return `WEBVTT\n\n${srt.replace(/^﻿/, '').replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2').trim()}\n`;
+}
+
+function vttToSrt(vtt) {
+    return vtt.replace(/^\s*WEBVTT.*?\r?\n/i, '').replace(/(\d{2}:\d{2}:\d{2})\.(\d{3})/g, '$1,$2');
+}
+
+// Which kind of file a download is, by content rather than extension.
+function detectFormat(raw) {
+    if (/^\s*WEBVTT/i.test(raw)) return 'vtt';
+    if (/^\s*\[Script Info\]/i.test(raw.replace(/^﻿/, ''))) return 'ass';
+    if (/-->/.test(raw)) return 'srt';
+    return 'ass';
+}
+
+// Render a downloaded subtitle file as 'srt', 'vtt' or 'ass'. Returns null when
+// the requested rendition can't be produced (ASS passthrough of a non-ASS file).
+function convertSubtitle(raw, to) {
+    const from = detectFormat(raw);
+    if (from === to) return raw;
+    if (to === 'ass') return null;
+    if (from === 'ass') return to === 'vtt' ? assToVtt(raw) : assToSrt(raw);
+    return to === 'vtt' ? srtToVtt(raw) : vttToSrt(raw);
+}
+
+module.exports = {
+    assToSrt,
+    assToVtt,
+    convertSubtitle,
+    detectFormat,
+    parseAss
+};
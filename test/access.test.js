@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAddon } = require('./mock-server');
+const { parseTokens, hostAllowed } = require('../access');
+
+let upstream;
+let addon;
+let app;
+let server;
+let base;
+
+test.before(async () => {
+    process.env.TOKEN_RATE_LIMIT = '5';
+    ({ upstream, addon, app } = await loadAddon({ accessTokens: 'alice:alice-token-123,bob:bob-token-4567,carol:carol-token-890' }));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await addon.close();
+    await upstream.close();
+});
+
+const get = path => fetch(`${base}${path}`, { redirect: 'manual' });
+const config = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+test('parseTokens names tokens and rejects weak ones', () => {
+    assert.deepStrictEqual([...parseTokens('shared-secret-1').values()], ['token-1']);
+    assert.deepStrictEqual([...parseTokens('a:aaaaaaaa, b:bbbbbbbb').values()], ['a', 'b']);
+    assert.throws(() => parseTokens('alice:short'), /alice/);
+    assert.throws(() => parseTokens('alice:has/slash'), /alice/);
+});
+
+test('hostAllowed accepts listed hosts and their subdomains only', () => {
+    const hosts = ['hstream.moe'];
+    assert.ok(hostAllowed('https://hstream.moe/a.ass', hosts));
+    assert.ok(hostAllowed('https://cdn.hstream.moe/a.ass', hosts));
+    assert.ok(!hostAllowed('https://evilhstream.moe/a.ass', hosts));
+    assert.ok(!hostAllowed('file:///etc/passwd', hosts));
+});
+
+test('addon routes need a known token', async () => {
+    assert.strictEqual((await get('/')).status, 401);
+    assert.strictEqual((await get('/manifest.json')).status, 401);
+    assert.strictEqual((await get('/not-a-token/manifest.json')).status, 401);
+    assert.strictEqual((await get(`/${config({ maxQuality: '720' })}/manifest.json`)).status, 401);
+
+    const manifest = await (await get('/alice-token-123/manifest.json')).json();
+    assert.ok(manifest.catalogs.length > 0);
+    const configured = await get(`/alice-token-123/${config({ maxQuality: '720' })}/stream/movie/hstream:series-a-1.json`);
+    assert.strictEqual(configured.status, 200);
+    assert.ok((await configured.json()).streams.length > 0);
+
+    // The configure page builds install links that keep the token.
+    const page = await (await get('/alice-token-123/configure')).text();
+    assert.ok(page.includes('http://addon.test/alice-token-123'));
+    // Instance-wide endpoints stay reachable.
+    assert.strictEqual((await get('/status.json')).status, 200);
+});
+
+test('subtitles and metrics are behind the token too', async () => {
+    const { streams } = await (await get('/carol-token-890/stream/movie/hstream:series-a-1.json')).json();
+    const subtitle = new URL(streams[0].subtitles[0].url);
+    assert.ok(subtitle.href.startsWith('http://addon.test/carol-token-890/subs/'));
+    assert.strictEqual((await get(subtitle.pathname)).status, 200);
+    assert.strictEqual((await get(subtitle.pathname.replace('/carol-token-890', ''))).status, 401);
+
+    // Metrics name the tokens' users.
+    assert.strictEqual((await get('/metrics')).status, 401);
+    assert.ok((await (await get('/carol-token-890/metrics')).text()).includes('hstream_token_requests_total{token="carol"}'));
+});
+
+test('each token has its own rate limit', async () => {
+    let limited;
+    for (let i = 0; i < 10 && !limited; i++) {
+        const res = await get('/bob-token-4567/manifest.json');
+        if (res.status === 429) limited = res;
+    }
+    assert.ok(limited, 'bob was never rate-limited');
+    assert.ok(Number(limited.headers.get('retry-after')) >= 1);
+    assert.strictEqual((await get('/bob-token-4567/manifest.json')).status, 429);
+
+    // alice used 4 of her 5 requests above; wait for her bucket to refill a little.
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.strictEqual((await get('/alice-token-123/manifest.json')).status, 200);
+});
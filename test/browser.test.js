@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { installPaths, findChrome, browserOptions } = require('../browser');
+
+let dir;
+
+test.before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hstream-browser-'));
+    fs.writeFileSync(path.join(dir, 'chromium'), '#!/bin/sh\n', { mode: 0o755 });
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test.afterEach(() => {
+    delete process.env.CHROME_PATH;
+    delete process.env.BROWSER_WS_ENDPOINT;
+});
+
+test('installPaths covers Windows, macOS and Linux locations', () => {
+    assert.ok(installPaths('win32', { LOCALAPPDATA: 'C:\\Users\\me\\AppData\\Local' })
+        .includes('C:\\Users\\me\\AppData\\Local\\Google\\Chrome\\Application\\chrome.exe'));
+    assert.ok(installPaths('darwin', { HOME: '/Users/me' })
+        .includes('/Users/me/Applications/Google Chrome.app/Contents/MacOS/Google Chrome'));
+    const linux = installPaths('linux', { PATH: '/usr/local/bin:/usr/bin' });
+    assert.strictEqual(linux[0], '/usr/local/bin/google-chrome-stable');
+    assert.ok(linux.includes('/usr/bin/chromium-browser'));
+    assert.ok(linux.includes('/snap/bin/chromium'));
+});
+
+test('findChrome returns the first executable on the PATH', { skip: process.platform === 'win32' }, () => {
+    assert.strictEqual(findChrome('linux', { PATH: `/nonexistent${path.delimiter}${dir}` }), path.join(dir, 'chromium'));
+});
+
+test('browserOptions prefers a remote endpoint, then CHROME_PATH', async () => {
+    process.env.CHROME_PATH = path.join(dir, 'chromium');
+    process.env.BROWSER_WS_ENDPOINT = 'ws://chrome:3000/devtools/browser/abc';
+    const remote = await browserOptions();
+    assert.strictEqual(remote.connect.browserWSEndpoint, 'ws://chrome:3000/devtools/browser/abc');
+    assert.strictEqual(remote.launch, undefined);
+
+    delete process.env.BROWSER_WS_ENDPOINT;
+    const local = await browserOptions();
+    assert.strictEqual(local.launch.executablePath, path.join(dir, 'chromium'));
+    assert.ok(local.launch.args.includes('--no-sandbox'));
+});
+
+test('browserOptions rejects a CHROME_PATH that does not exist', async () => {
+    process.env.CHROME_PATH = path.join(dir, 'missing-chrome');
+    await assert.rejects(browserOptions(), /CHROME_PATH is set to .*missing-chrome/);
+});
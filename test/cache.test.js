@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Cache, FileBackend } = require('../cache');
+
+function withDir(fn) {
+    return async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hstream-cache-'));
+        try {
+            await fn(dir);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+const lines = file => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+test('a file cache appends only what changed and replays it on load', withDir(async dir => {
+    const cache = new Cache(60000, { backend: new FileBackend(dir, 'test'), persistDelay: 60000 });
+    cache.set('a', { big: 'x'.repeat(1000) });
+    cache.set('b', 2);
+    cache.flush();
+    cache.delete('a');
+    cache.set('b', 3);
+    cache.flush();
+
+    const file = path.join(dir, 'test.jsonl');
+    assert.deepStrictEqual(lines(file).slice(2).map(([key, item]) => [key, item?.value]), [['a', undefined], ['b', 3]]);
+    // A line cut short by a crash is skipped.
+    fs.appendFileSync(file, '["c",{"value":');
+
+    const reloaded = new Cache(60000, { backend: new FileBackend(dir, 'test') });
+    assert.deepStrictEqual(reloaded.keys(), ['b']);
+    assert.strictEqual(reloaded.get('b'), 3);
+}));
+
+test('a journal mostly made of replaced entries is compacted', withDir(async dir => {
+    const backend = new FileBackend(dir, 'test');
+    const cache = new Cache(60000, { backend, persistDelay: 60000 });
+    const value = 'x'.repeat(100 * 1024);
+    for (let i = 0; i < 16; i++) {
+        cache.set('a', value + i);
+        cache.flush();
+    }
+    assert.ok(backend.bytes > 1.5 * 1024 * 1024);
+
+    cache.set('b', 1);
+    await cache.persist();
+    assert.deepStrictEqual(lines(path.join(dir, 'test.jsonl')).map(([key]) => key), ['a', 'b']);
+    assert.ok(backend.bytes < 200 * 1024);
+    assert.strictEqual(new Cache(60000, { backend: new FileBackend(dir, 'test') }).get('a'), value + 15);
+    clearTimeout(cache.persistTimer);
+}));
+
+test('peek reads an entry without counting it or refreshing its place in the LRU', () => {
+    const cache = new Cache(60000, { maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    assert.strictEqual(cache.peek('a'), 1);
+    assert.strictEqual(cache.peek('missing'), null);
+    assert.deepStrictEqual([cache.hits, cache.misses], [0, 0]);
+    // 'a' is still the least recently used entry.
+    cache.set('c', 3);
+    assert.deepStrictEqual(cache.keys(), ['b', 'c']);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLimiter, isThrottled, parseRetryAfter } = require('../limiter');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+    assert.strictEqual(parseRetryAfter('30'), 30000);
+    assert.strictEqual(parseRetryAfter(new Date(Date.now() + 10000).toUTCString(), Date.now() - 1000) > 9000, true);
+    assert.strictEqual(parseRetryAfter(undefined), null);
+    assert.strictEqual(parseRetryAfter('soon'), null);
+});
+
+test('acquire() paces requests and caps how many are in flight', async () => {
+    const limiter = createLimiter({ rate: 50, maxInFlight: 2 });
+    const started = [];
+    let open = 0;
+    let maxOpen = 0;
+    const t0 = Date.now();
+    await Promise.all([1, 2, 3, 4].map(async () => {
+        const done = await limiter.acquire();
+        started.push(Date.now() - t0);
+        maxOpen = Math.max(maxOpen, ++open);
+        await sleep(30);
+        open--;
+        done(200);
+    }));
+    assert.strictEqual(maxOpen, 2);
+    // 50 per second: one start every 20ms at most.
+    started.sort((a, b) => a - b).slice(1).forEach((at, i) => assert.ok(at - started[i] >= 15, `starts at ${started}`));
+});
+
+test('a 429 pauses everyone for the backoff, or for Retry-After when longer', async () => {
+    const limiter = createLimiter({ rate: 0, baseBackoff: 40, maxWait: 1000 });
+    (await limiter.acquire())(429);
+    let t0 = Date.now();
+    (await limiter.acquire())(200);
+    assert.ok(Date.now() - t0 >= 35);
+
+    (await limiter.acquire())(503, '0.2');
+    (await limiter.acquire())(429, '1');
+    t0 = Date.now();
+    const done = await limiter.acquire();
+    assert.ok(Date.now() - t0 >= 900, 'waited for Retry-After: 1');
+    done(200);
+    assert.strictEqual(limiter.stats().throttled, 3);
+});
+
+test('the circuit opens after repeated throttling, rejects, then probes one request at a time', async () => {
+    const logs = [];
+    const limiter = createLimiter({ rate: 0, baseBackoff: 10, tripAfter: 3, log: m => logs.push(m) });
+    for (let i = 0; i < 3; i++) (await limiter.acquire())(429);
+    assert.strictEqual(limiter.isOpen(), true);
+    await assert.rejects(limiter.acquire(), error => isThrottled(error));
+    assert.strictEqual(limiter.stats().rejected, 1);
+
+    await sleep(limiter.stats().pausedUntil - Date.now() + 5);
+    assert.strictEqual(limiter.isOpen(), false);
+    const probe = await limiter.acquire();
+    let second = false;
+    const next = limiter.acquire().then(done => { second = true; return done; });
+    await sleep(10);
+    assert.strictEqual(second, false, 'only one request while half-open');
+    probe(200);
+    (await next)(200);
+    assert.strictEqual(limiter.stats().strikes, 0);
+    assert.ok(logs.some(m => m.includes('answering normally again')));
+});
+
+test('a Retry-After longer than maxWait opens the circuit straight away', async () => {
+    const limiter = createLimiter({ rate: 0, maxWait: 1000 });
+    (await limiter.acquire())(429, '120');
+    assert.strictEqual(limiter.isOpen(), true);
+    await assert.rejects(limiter.acquire(), /rate-limiting/);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectContainer, detectCodec, probeMedia } = require('../media');
+const { startMockServer, box, VIDEO } = require('./mock-server');
+
+test('detectCodec looks past the MP4 brands for the sample entry', () => {
+    assert.strictEqual(detectContainer(VIDEO), 'mp4');
+    assert.strictEqual(detectCodec(VIDEO), 'HEVC');
+    const h264 = Buffer.concat([box('ftyp', Buffer.from('isomiso2avc1mp41', 'latin1')), box('moov', Buffer.from('stsdavc1', 'latin1'))]);
+    assert.strictEqual(detectCodec(h264), 'H.264');
+    // Index at the end of the file: nothing to go on.
+    assert.strictEqual(detectCodec(Buffer.concat([box('ftyp', Buffer.from('isomiso2avc1mp41', 'latin1')), box('mdat', Buffer.alloc(64))])), null);
+});
+
+test('detectContainer and detectCodec read WebM and manifests', () => {
+    const webm = Buffer.concat([Buffer.from([0x1A, 0x45, 0xDF, 0xA3]), Buffer.from('\x42\x82\x84webm....V_AV1', 'latin1')]);
+    assert.strictEqual(detectContainer(webm), 'webm');
+    assert.strictEqual(detectCodec(webm), 'AV1');
+
+    const hls = Buffer.from('#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=8000000,CODECS="avc1.640028,mp4a.40.2"\nvideo.m3u8\n');
+    assert.strictEqual(detectContainer(hls), 'hls');
+    assert.strictEqual(detectCodec(hls), 'H.264');
+
+    assert.strictEqual(detectContainer(Buffer.alloc(16), 'video/webm; codecs=vp9'), 'webm');
+    assert.strictEqual(detectContainer(Buffer.alloc(16), 'application/octet-stream'), null);
+});
+
+test('probeMedia reads the size from HEAD and the codec from the first bytes only', async () => {
+    const upstream = await startMockServer();
+    try {
+        assert.deepStrictEqual(await probeMedia(`${upstream.url}/cdn/title/E1/1080/manifest.mp4`, {}, { bytes: 1024 }),
+            { status: 200, size: VIDEO.length, container: 'mp4', codec: 'HEVC' });
+        assert.strictEqual(await probeMedia(`${upstream.url}/gone/manifest.mp4`), null);
+
+        // No Content-Length on HEAD: the size comes from the range read's Content-Range.
+        upstream.overrides.set('/cdn/ranged.mp4', {
+            status: 206,
+            type: 'video/mp4',
+            headers: { 'Content-Range': 'bytes 0-1023/734003200' },
+            body: VIDEO.subarray(0, 1024)
+        });
+        const ranged = await probeMedia(`${upstream.url}/cdn/ranged.mp4`, {}, { bytes: 1024 });
+        assert.strictEqual(ranged.size, 734003200);
+        assert.strictEqual(ranged.codec, 'HEVC');
+    } finally {
+        await upstream.close();
+    }
+});
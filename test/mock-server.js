@@ -0,0 +1,128 @@
+// Local stand-in for hstream.moe serving the saved pages in fixtures/. Tests
+// start it, point HSTREAM_URL at it and then require the addon, so every scrape
+// runs against the same markup offline.
+const fs = require('fs');
+const http = require('http');
+const express = require('express');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function fixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+// ISO BMFF box: 32-bit size, 4-letter type, payload.
+function box(type, payload) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + payload.length);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, payload]);
+}
+
+// What the stand-in CDN serves: an HEVC MP4 with its index up front (and an
+// "avc1" compatible brand, as real files have), padded past the probe's read.
+const VIDEO = Buffer.concat([
+    box('ftyp', Buffer.from('isom\0\0\x02\0isomavc1mp41', 'latin1')),
+    box('moov', box('stsd', Buffer.from('\0\0\0\0\0\0\0\x01hvc1', 'latin1'))),
+    Buffer.alloc(2 * 1024 * 1024)
+]);
+
+// Listing pages: 1 and 2 hold cards, everything after is the site's empty result.
+// A tag or studio listing has one page, from listing-<tag|studio>-<slug>.html when
+// there is one.
+function listing(url) {
+    if (url.searchParams.get('q')) {
+        return url.searchParams.get('page') === '1' ? fixture('search-series.html') : fixture('listing-empty.html');
+    }
+    const tag = url.searchParams.get('tags[0]');
+    const studio = url.searchParams.get('studios[0]');
+    if (tag || studio) {
+        const file = tag ? `listing-tag-${tag}.html` : `listing-studio-${studio}.html`;
+        return url.searchParams.get('page') === '1' && fs.existsSync(path.join(FIXTURES, file)) ? fixture(file) : fixture('listing-empty.html');
+    }
+    const page = url.searchParams.get('page') || '1';
+    return ['1', '2'].includes(page) ? fixture(`listing-${page}.html`) : fixture('listing-empty.html');
+}
+
+function route(url) {
+    const html = content => ({ status: 200, type: 'text/html; charset=utf-8', body: content });
+
+    if (url.pathname === '/search') return html(listing(url));
+
+    const episode = url.pathname.match(/^\/hentai\/([a-z0-9-]+?)-(\d+)$/);
+    if (episode && episode[1] === 'series-a' && Number(episode[2]) <= 3) {
+        return html(fixture('detail-series-a.html').replace(/__EP__/g, episode[2]));
+    }
+    if (episode && episode[1] === 'title-01' && episode[2] === '1') return html(fixture('detail-title-01.html'));
+
+    // Stand-in CDN: tests point scraped video links here to have them checked.
+    if (url.pathname.startsWith('/cdn/')) return { status: 200, type: 'video/mp4', headers: { 'Content-Length': VIDEO.length }, body: VIDEO };
+
+    const sub = url.pathname.match(/^\/uploads\/subs\/[a-z0-9-]+\.(ass|vtt)$/);
+    if (sub) return { status: 200, type: 'text/plain; charset=utf-8', body: fixture(`subtitle.${sub[1]}`) };
+
+    return { status: 404, type: 'text/plain', body: 'Not found' };
+}
+
+// Resolves { url, requests, overrides, close } once listening on a free port.
+// `requests` records every path+query served, for asserting what the addon
+// fetched; `overrides` maps a path+query to what to serve instead of the fixture:
+// an HTML string, or { status, headers, body, delay } (delay in ms).
+function startMockServer() {
+    const requests = [];
+    const overrides = new Map();
+    const server = http.createServer((req, res) => {
+        req.resume();
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://fixture.local');
+            requests.push(url.pathname + url.search);
+            const override = overrides.get(url.pathname + url.search);
+            const result = override === undefined ? route(url)
+                : typeof override === 'string' ? { status: 200, type: 'text/html; charset=utf-8', body: override }
+                : { type: 'text/html; charset=utf-8', ...override };
+            setTimeout(() => {
+                res.writeHead(result.status, { 'Content-Type': result.type, ...result.headers });
+                res.end(result.body);
+            }, result.delay || 0);
+        });
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                requests,
+                overrides,
+                close: () => new Promise(done => {
+                    server.close(done);
+                    // The addon's agent keeps connections alive; don't wait for them.
+                    server.closeAllConnections();
+                })
+            });
+        });
+    });
+}
+
+// Start the fixture server and create an addon instance against it: HTTP scraping
+// only, in-memory caches, quiet logs, no request pacing, no stream link checks or
+// source probes (the fixtures' CDN doesn't exist) and no search index. `options` go to
+// createAddon(); `app` serves the instance's router at the root.
+async function loadAddon(options = {}) {
+    const upstream = await startMockServer();
+    process.env.DEBUG = '0';
+    process.env.HSTREAM_RPS = '0';
+    const { createAddon } = require('..');
+    const addon = createAddon({
+        upstreamUrl: upstream.url,
+        publicUrl: 'http://addon.test',
+        scraper: 'http',
+        cacheBackend: 'memory',
+        validateStreams: false,
+        probeSources: false,
+        indexFile: null,
+        ...options
+    });
+    return { upstream, addon, app: express().use(addon.router) };
+}
+
+module.exports = { startMockServer, loadAddon, fixture, box, VIDEO };
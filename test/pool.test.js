@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { createPagePool } = require('../pool');
+
+// Fake Puppeteer browsers that record what the pool does with them.
+function fakeBrowsers() {
+    const log = { launched: [], closed: [], pagesClosed: 0, open: 0, maxOpen: 0 };
+    const launch = async () => {
+        const browser = new EventEmitter();
+        browser.id = log.launched.length + 1;
+        browser.process = () => null;
+        browser.newPage = async () => {
+            log.open++;
+            log.maxOpen = Math.max(log.maxOpen, log.open);
+            return { browserId: browser.id, close: async () => { log.open--; log.pagesClosed++; } };
+        };
+        log.launched.push(browser.id);
+        return browser;
+    };
+    const close = async browser => { log.closed.push(browser.id); };
+    return { log, launch, close };
+}
+
+const deferred = () => {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+};
+
+test('run() never opens more than `size` pages at once', async () => {
+    const { log, launch, close } = fakeBrowsers();
+    const pool = createPagePool({ launch, close, size: 2 });
+    const results = await Promise.all([1, 2, 3, 4, 5].map(n => pool.run(async () => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return n;
+    })));
+    assert.deepStrictEqual(results, [1, 2, 3, 4, 5]);
+    assert.strictEqual(log.maxOpen, 2);
+    assert.strictEqual(log.pagesClosed, 5);
+    assert.deepStrictEqual(log.launched, [1]);
+    await pool.shutdown();
+});
+
+test('queued tasks start by priority, then in arrival order', async () => {
+    const { launch, close } = fakeBrowsers();
+    const pool = createPagePool({ launch, close, size: 1 });
+    const gate = deferred();
+    const order = [];
+    const first = pool.run(() => gate.promise);
+    const queued = [
+        pool.run(async () => { order.push('background'); }, { priority: 3 }),
+        pool.run(async () => { order.push('catalog'); }, { priority: 2 }),
+        pool.run(async () => { order.push('stream-1'); }, { priority: 0 }),
+        pool.run(async () => { order.push('stream-2'); }, { priority: 0 })
+    ];
+    assert.strictEqual(pool.stats().queued, 4);
+    gate.resolve();
+    await Promise.all([first, ...queued]);
+    assert.deepStrictEqual(order, ['stream-1', 'stream-2', 'catalog', 'background']);
+    await pool.shutdown();
+});
+
+test('a task past its timeout is rejected and its page closed', async () => {
+    const { log, launch, close } = fakeBrowsers();
+    const pool = createPagePool({ launch, close, size: 1, taskTimeout: 20 });
+    await assert.rejects(pool.run(() => new Promise(() => {}), { label: 'stuck' }), /Browser task stuck timed out/);
+    assert.strictEqual(log.pagesClosed, 1);
+    // The slot is free again.
+    assert.strictEqual(await pool.run(async () => 'next'), 'next');
+    assert.strictEqual(pool.stats().timeouts, 1);
+    await pool.shutdown();
+});
+
+test('the browser is recycled after maxPagesPerBrowser pages, once drained', async () => {
+    const { log, launch, close } = fakeBrowsers();
+    const pool = createPagePool({ launch, close, size: 2, maxPagesPerBrowser: 2 });
+    const seen = await Promise.all([1, 2, 3].map(() => pool.run(async page => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return page.browserId;
+    })));
+    assert.deepStrictEqual(seen, [1, 1, 2]);
+    assert.deepStrictEqual(log.closed, [1]);
+    assert.strictEqual(pool.stats().recycled, 1);
+    await pool.shutdown();
+    assert.deepStrictEqual(log.closed, [1, 2]);
+});
+
+test('idleTimeout closes the browser once work stops, and a crash starts a new one', async () => {
+    const { log, launch, close } = fakeBrowsers();
+    const pool = createPagePool({ launch, close, size: 1, idleTimeout: 10 });
+    await pool.run(async () => {});
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.deepStrictEqual(log.closed, [1]);
+
+    const crashed = await pool.run(async page => page.browserId);
+    await pool.warm().then(browser => browser.emit('disconnected'));
+    assert.strictEqual(await pool.run(async page => page.browserId), crashed + 1);
+    await pool.shutdown();
+    await assert.rejects(pool.run(async () => {}), /closed/);
+});
+
+test('a task whose browser crashes under it runs again on a fresh browser, once', async () => {
+    const { log, launch, close } = fakeBrowsers();
+    const pool = createPagePool({ launch, close, size: 1 });
+    const crash = page => {
+        pool.warm().then(browser => browser.emit('disconnected'));
+        return new Promise((resolve, reject) => setTimeout(() => reject(new Error('Target closed')), 5));
+    };
+
+    let attempts = 0;
+    const result = await pool.run(async page => (++attempts === 1 ? crash(page) : page.browserId), { label: 'flaky' });
+    assert.strictEqual(result, 2);
+    assert.deepStrictEqual(log.launched, [1, 2]);
+
+    await assert.rejects(pool.run(crash, { label: 'doomed' }), error => error.code === 'BROWSER_CRASHED' && /doomed: Target closed/.test(error.message));
+    const stats = pool.stats();
+    assert.strictEqual(stats.crashes, 3);
+    assert.strictEqual(stats.retried, 2);
+    await pool.shutdown();
+});
+
+test('a retried task waits behind queued work of higher priority', async () => {
+    const { launch, close } = fakeBrowsers();
+    const pool = createPagePool({ launch, close, size: 1 });
+    const order = [];
+    let attempts = 0;
+    let stream;
+    const background = pool.run(async () => {
+        if (++attempts === 1) {
+            // A stream task arrives while the background one runs, then its browser dies.
+            order.push('background crashed');
+            stream = pool.run(async () => order.push('stream'), { priority: 0 });
+            (await pool.warm()).emit('disconnected');
+            throw new Error('Target closed');
+        }
+        order.push('background');
+    }, { priority: 3 });
+    await background;
+    await stream;
+    assert.deepStrictEqual(order, ['background crashed', 'stream', 'background']);
+    await pool.shutdown();
+});
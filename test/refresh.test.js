@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAddon, fixture } = require('./mock-server');
+
+const PAGE_1 = '/search?view=poster&order=view-count&page=1';
+
+// An instance created with the given REFRESH_* settings (read at creation). Detail
+// pre-fetching is off unless asked for, so only listing pages are requested.
+async function withAddon(env, fn) {
+    const settings = { REFRESH_DETAILS: '0', ...env };
+    Object.assign(process.env, settings);
+    const { upstream, addon } = await loadAddon();
+    for (const name of Object.keys(settings)) delete process.env[name];
+    try {
+        await fn(upstream, addon);
+    } finally {
+        await addon.close();
+        await upstream.close();
+    }
+}
+
+const until = async check => {
+    for (let i = 0; i < 100 && !check(); i++) await new Promise(resolve => setTimeout(resolve, 20));
+    assert.ok(check());
+};
+
+// Listing page 1 with series-b's cards re-released as series-z.
+const reRanked = () => fixture('listing-1.html').replace(/series-b/g, 'series-z').replace(/Series B/g, 'Series Z');
+
+test('a catalog about to expire is served from cache while it is refreshed', () => withAddon({}, async (upstream, addon) => {
+    const cache = addon.caches.get('catalog');
+    const before = (await addon.fetchCatalog(0, {}, 'popular')).map(s => s.id);
+    // Within REFRESH_AHEAD of expiring.
+    cache.set('catalog-popular-all', cache.get('catalog-popular-all'), 60 * 1000);
+    upstream.overrides.set(PAGE_1, { status: 200, body: reRanked(), delay: 100 });
+    upstream.requests.length = 0;
+
+    assert.deepStrictEqual((await addon.fetchCatalog(0, {}, 'popular')).map(s => s.id), before);
+    await until(() => upstream.requests.includes(PAGE_1));
+    await until(() => cache.get('catalog-popular-all').items.some(i => i.baseId === 'series-z'));
+    assert.ok(cache.expiresAt('catalog-popular-all') > Date.now() + 60 * 1000);
+}));
+
+test('a refreshed head goes in front of the index without dropping deeper pages', () => withAddon({ REFRESH_PAGES: '1' }, async (upstream, addon) => {
+    await addon.fetchCatalog(0, {}, 'popular');
+    upstream.overrides.set(PAGE_1, reRanked());
+    upstream.requests.length = 0;
+    await addon.runRefresh();
+
+    assert.ok(upstream.requests.includes(PAGE_1));
+    assert.ok(!upstream.requests.some(r => r.startsWith('/search?view=poster&order=view-count&page=2')));
+    const { items, pagesLoaded } = addon.caches.get('catalog').get('catalog-popular-all');
+    assert.strictEqual(items.find(i => i.baseId === 'series-z').id, 'hstream:series-z-1');
+    assert.ok(items.findIndex(i => i.baseId === 'series-z') < items.findIndex(i => i.baseId === 'title-21'));
+    // series-b left page 1 but stays in the index, as do page 2's titles.
+    assert.ok(items.some(i => i.baseId === 'series-b'));
+    assert.ok(items.some(i => i.baseId === 'title-21'));
+    assert.ok(pagesLoaded >= 2);
+}));
+
+test('a refresh is skipped while the process is over its memory budget', () => withAddon({ REFRESH_MAX_RSS_MB: '1' }, async (upstream, addon) => {
+    await addon.runRefresh();
+    assert.deepStrictEqual(upstream.requests, []);
+}));
+
+test('a refresh is skipped while hstream is rate-limiting us', () => withAddon({}, async (upstream, addon) => {
+    upstream.overrides.set(PAGE_1, { status: 429, headers: { 'Retry-After': '120' }, body: '' });
+    await addon.fetchCatalog(0, {}, 'popular').catch(() => {});
+    assert.strictEqual((await addon.collectStatus()).upstream.open, true);
+
+    upstream.requests.length = 0;
+    await addon.runRefresh();
+    assert.deepStrictEqual(upstream.requests, []);
+}));
@@ -0,0 +1,245 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { getRouter } = require('stremio-addon-sdk');
+const { loadAddon, fixture } = require('./mock-server');
+const { createAddon } = require('..');
+const { Cache } = require('../cache');
+
+let upstream;
+let addon;
+let app;
+let server;
+let base;
+
+test.before(async () => {
+    ({ upstream, addon, app } = await loadAddon());
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await addon.close();
+    await upstream.close();
+});
+
+const get = path => fetch(`${base}${path}`, { redirect: 'manual' });
+const getJson = async path => (await get(path)).json();
+const config = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const subsPath = (file, format) => `/subs/${Buffer.from(`${upstream.url}/uploads/subs/${file}`).toString('base64url')}.${format}`;
+
+test('/ redirects to the configure page', async () => {
+    const res = await get('/');
+    assert.strictEqual(res.status, 302);
+    assert.strictEqual(res.headers.get('location'), '/configure');
+    const page = await (await get('/configure')).text();
+    assert.ok(page.includes('<select name="maxQuality">'));
+});
+
+test('/manifest.json lists the enabled catalogs', async () => {
+    upstream.requests.length = 0;
+    const manifest = await getJson('/manifest.json');
+    // Health checks and installs never start a scrape.
+    assert.deepStrictEqual(upstream.requests, []);
+    assert.strictEqual(manifest.id, 'org.hstreammoe');
+    assert.deepStrictEqual(manifest.catalogs.map(c => c.id), ['hstream-popular', 'hstream-recent', 'hstream-studio']);
+
+    const limited = await getJson(`/${config({ catalogs: ['hstream-recent'] })}/manifest.json`);
+    assert.deepStrictEqual(limited.catalogs.map(c => c.id), ['hstream-recent']);
+});
+
+test('catalog route returns series metas, with extras in the path', async () => {
+    const { metas } = await getJson('/catalog/series/hstream-popular.json');
+    assert.strictEqual(metas.length, 46);
+    assert.strictEqual(metas[0].id, 'hstream:series-a');
+    assert.strictEqual(metas[0].type, 'series');
+
+    const search = await getJson('/catalog/series/hstream-popular/search=series.json');
+    assert.deepStrictEqual(search.metas.map(m => m.id), ['hstream:series-a']);
+    assert.deepStrictEqual((await getJson('/catalog/series/hstream-popular/skip=100.json')).metas, []);
+});
+
+test('genre extra filters the catalog through hstream\'s tag listing', async () => {
+    upstream.requests.length = 0;
+    const { metas } = await getJson('/catalog/series/hstream-popular/genre=Vanilla.json');
+    assert.deepStrictEqual(metas.map(m => m.id), ['hstream:series-a', 'hstream:title-06']);
+    assert.strictEqual(metas[0].description, '2 episodes  •  4k | FHD 48fps  •  👁 12,345');
+    assert.ok(upstream.requests.includes('/search?view=poster&order=view-count&tags%5B0%5D=vanilla&page=1'));
+
+    // Its index is kept apart from the unfiltered catalog's.
+    assert.strictEqual(addon.caches.get('catalog').get('catalog-popular-genre-vanilla-all').items.length, 3);
+    assert.strictEqual((await getJson('/catalog/series/hstream-popular.json')).metas.length, 46);
+});
+
+test('meta route lists every episode of a series from its first page', async () => {
+    upstream.requests.length = 0;
+    const { meta } = await getJson('/meta/series/hstream:series-a.json');
+    assert.strictEqual(meta.name, 'Series A');
+    assert.deepStrictEqual(meta.videos.map(v => v.id), ['hstream:series-a:1:1', 'hstream:series-a:1:2', 'hstream:series-a:1:3']);
+    assert.deepStrictEqual(upstream.requests.filter(p => p.startsWith('/hentai/')), ['/hentai/series-a-1']);
+    // Episodes whose page wasn't opened yet have no date of their own to show.
+    assert.deepStrictEqual(meta.videos.map(v => v.released?.slice(0, 10)), ['2023-05-01', undefined, undefined]);
+
+    // An episode page scraped since (here for its streams) gives that episode its own date.
+    await getJson('/stream/series/hstream:series-a:1:2.json');
+    const reopened = (await getJson('/meta/series/hstream:series-a.json')).meta;
+    assert.strictEqual(reopened.videos[1].released.slice(0, 10), '2023-05-02');
+});
+
+test('ids saved before series grouping still resolve', async () => {
+    const { catalog } = (await getJson('/status.json')).caches;
+    const movie = (await getJson('/meta/movie/hstream:popular:series-a-2.json')).meta;
+    assert.strictEqual(movie.id, 'hstream:popular:series-a-2');
+    assert.strictEqual(movie.name, 'Series A - 2');
+    assert.strictEqual((await getJson('/stream/movie/hstream:popular:series-a-2.json')).streams.length, 4);
+
+    const series = (await getJson('/meta/series/hstream:recent:series-a.json')).meta;
+    assert.strictEqual(series.videos.length, 3);
+    assert.strictEqual((await getJson('/stream/series/hstream:recent:series-a:1:3.json')).streams.length, 4);
+    // Looking titles up in the cached listings doesn't count as catalog cache use.
+    const after = (await getJson('/status.json')).caches.catalog;
+    assert.deepStrictEqual([after.hits, after.misses], [catalog.hits, catalog.misses]);
+});
+
+test('stream route applies the install config', async () => {
+    const all = await getJson('/stream/series/hstream:series-a:1:2.json');
+    assert.deepStrictEqual(all.streams.map(s => s.url.split('/')[5]), ['2161', '2160', '1080', '720']);
+    assert.ok(all.streams[0].subtitles[0].url.endsWith('.vtt'));
+
+    const capped = await getJson(`/${config({ maxQuality: 1080, hide48fps: true, subtitleFormat: 'srt' })}/stream/series/hstream:series-a:1:2.json`);
+    assert.deepStrictEqual(capped.streams.map(s => s.url.split('/')[5]), ['1080', '720']);
+    assert.ok(capped.streams[0].subtitles.every(sub => sub.url.endsWith('.srt')));
+});
+
+test('stream route explains an episode page it could not load', async () => {
+    const { streams } = await getJson('/stream/series/hstream:missing:1:1.json');
+    assert.strictEqual(streams.length, 1);
+    assert.ok(streams[0].title.startsWith('Temporarily unavailable'));
+    assert.ok(streams[0].externalUrl.endsWith('/hentai/missing'));
+});
+
+test('ids that are not hstream slugs are turned away without fetching anything', async () => {
+    upstream.requests.length = 0;
+    for (const id of ['foo', 'hstream:', 'hstream:..%2Fadmin', 'hstream:a%3Fb%3D1', 'hstream:series-a:1:x']) {
+        assert.deepStrictEqual(await getJson(`/meta/series/${id}.json`), { meta: null });
+        assert.deepStrictEqual(await getJson(`/stream/series/${id}.json`), { streams: [] });
+    }
+    assert.deepStrictEqual(upstream.requests, []);
+});
+
+test('By Studio catalog lists one studio\'s titles and metas link back to it', async () => {
+    assert.deepStrictEqual((await getJson('/catalog/series/hstream-studio.json')).metas, []);
+
+    upstream.requests.length = 0;
+    const { metas } = await getJson('/catalog/series/hstream-studio/studio=Pink%20Pineapple.json');
+    assert.deepStrictEqual(metas.map(m => m.id), ['hstream:series-a', 'hstream:title-02']);
+    assert.ok(upstream.requests.includes('/search?view=poster&order=view-count&studios%5B0%5D=pink-pineapple&page=1'));
+
+    const { meta } = await getJson('/meta/series/hstream:series-a.json');
+    const manifestUrl = encodeURIComponent('http://addon.test/manifest.json');
+    assert.deepStrictEqual(meta.links, [{
+        name: 'Pink Pineapple',
+        category: 'Studio',
+        url: `stremio:///discover/${manifestUrl}/series/hstream-studio?studio=Pink%20Pineapple`
+    }]);
+    // Installs without the studio catalog get no links into it.
+    const limited = await getJson(`/${config({ catalogs: ['hstream-popular'] })}/meta/series/hstream:series-a.json`);
+    assert.deepStrictEqual(limited.meta.links, []);
+});
+
+test('/subs/ converts and passes through subtitle files', async () => {
+    const srt = await get(subsPath('series-a-1-eng.ass', 'srt'));
+    assert.strictEqual(srt.headers.get('content-type'), 'application/x-subrip; charset=utf-8');
+    assert.ok((await srt.text()).startsWith('1\n00:00:01,000 --> 00:00:03,200\nHello, world!'));
+
+    const vtt = await (await get(subsPath('series-a-1-eng.ass', 'vtt'))).text();
+    assert.ok(vtt.startsWith('WEBVTT'));
+    assert.ok(vtt.includes('<i>world</i>'));
+
+    assert.strictEqual(await (await get(subsPath('series-a-1-eng.ass', 'ass'))).text(), fixture('subtitle.ass'));
+    assert.strictEqual((await get(subsPath('series-a-1-spa.vtt', 'ass'))).status, 404);
+    assert.strictEqual((await get(`/subs/${Buffer.from('not a url').toString('base64url')}.srt`)).status, 400);
+    // Only hosts hstream itself links subtitles from: not an open proxy.
+    assert.strictEqual((await get(`/subs/${Buffer.from('http://example.com/a.ass').toString('base64url')}.srt`)).status, 403);
+});
+
+test('/status.json and /metrics report on the instance', async () => {
+    const status = await getJson('/status.json');
+    assert.strictEqual(status.serverUrl, 'http://addon.test');
+    assert.strictEqual(status.scraper, 'http');
+    assert.ok(status.lastSuccess.catalog);
+    assert.deepStrictEqual(Object.keys(status.caches), ['catalog', 'meta', 'stream', 'subs']);
+    assert.strictEqual(status.degraded, false);
+    assert.ok(status.scraping.listing.strategies['livewire-cards@2024'].ok > 0);
+    assert.strictEqual(status.browser.pool.queued, 0);
+    assert.ok((await (await get('/status')).text()).includes('<td>Page pool</td>'));
+
+    await get('/catalog/made-up-type/made-up-catalog.json');
+    await get('/meta/made-up-type/hstream:series-a.json');
+    const metrics = await (await get('/metrics')).text();
+    assert.ok(metrics.includes('hstream_handler_requests_total{catalog="hstream-popular",resource="catalog",type="series"}'));
+    // Values from the URL that aren't in the manifest never become label values.
+    assert.ok(!metrics.includes('made-up'));
+    assert.ok(metrics.includes('hstream_handler_requests_total{catalog="other",resource="catalog",type="other"}'));
+});
+
+test('/proxy/ rejects tokens it did not sign', async () => {
+    const token = 'x'.repeat(22) + Buffer.from('https://example.com/video.mp4').toString('base64url');
+    assert.strictEqual((await get(`/proxy/${token}`)).status, 403);
+    // Multibyte characters in the signature: still a plain rejection, not a 500.
+    const accented = 'é'.repeat(22) + Buffer.from('https://example.com/video.mp4').toString('base64url');
+    assert.strictEqual((await get(`/proxy/${encodeURIComponent(accented)}`)).status, 403);
+});
+
+test('addonInterface also works behind the SDK\'s own router', async () => {
+    const sdkServer = express().use(getRouter(addon.addonInterface)).listen(0, '127.0.0.1');
+    await new Promise(resolve => sdkServer.once('listening', resolve));
+    const sdkGet = async path => {
+        const res = await fetch(`http://127.0.0.1:${sdkServer.address().port}${path}`);
+        assert.strictEqual(res.status, 200, path);
+        return res.json();
+    };
+    try {
+        assert.strictEqual((await sdkGet('/catalog/series/hstream-popular.json')).metas.length, 46);
+        assert.strictEqual((await sdkGet('/meta/series/hstream:series-a.json')).meta.name, 'Series A');
+        assert.ok((await sdkGet('/stream/series/hstream:series-a:1:1.json')).streams.length > 0);
+    } finally {
+        sdkServer.closeAllConnections();
+        await new Promise(resolve => sdkServer.close(resolve));
+    }
+});
+
+test('an instance mounts under a path of another app, with injected caches', async () => {
+    const streamCache = new Cache(60 * 1000);
+    const mounted = createAddon({
+        upstreamUrl: upstream.url,
+        publicUrl: 'http://host.test/hstream/',
+        scraper: 'http',
+        cacheBackend: 'memory',
+        caches: { stream: streamCache }
+    });
+    const host = express();
+    host.get('/other/manifest.json', (req, res) => res.json({ id: 'other' }));
+    host.use('/hstream', mounted.router);
+    const hostServer = host.listen(0, '127.0.0.1');
+    await new Promise(resolve => hostServer.once('listening', resolve));
+    const hostBase = `http://127.0.0.1:${hostServer.address().port}`;
+    try {
+        const root = await fetch(`${hostBase}/hstream/`, { redirect: 'manual' });
+        assert.strictEqual(root.headers.get('location'), '/hstream/configure');
+        assert.strictEqual((await (await fetch(`${hostBase}/hstream/manifest.json`)).json()).id, 'org.hstreammoe');
+        assert.strictEqual((await (await fetch(`${hostBase}/other/manifest.json`)).json()).id, 'other');
+
+        const { streams } = await (await fetch(`${hostBase}/hstream/stream/series/hstream:series-a:1:1.json`)).json();
+        assert.ok(streams[0].subtitles[0].url.startsWith('http://host.test/hstream/subs/'));
+        assert.ok(streamCache.get(`details-${upstream.url}/hentai/series-a-1`));
+        assert.strictEqual(mounted.caches.get('stream'), streamCache);
+    } finally {
+        hostServer.closeAllConnections();
+        await new Promise(resolve => hostServer.close(resolve));
+        await mounted.close();
+    }
+});
@@ -0,0 +1,260 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAddon, fixture } = require('./mock-server');
+const { extractListing, scrapeHealth } = require('../scrape');
+
+let upstream;
+let addon;
+
+test.before(async () => {
+    ({ upstream, addon } = await loadAddon());
+});
+
+test.after(() => upstream.close());
+
+test.beforeEach(() => {
+    addon.caches.forEach(cache => cache.clear());
+    upstream.requests.length = 0;
+    upstream.overrides.clear();
+});
+
+// Just enough of the page pool and a Puppeteer page for fetchPage(): "navigating"
+// fetches the fixture page and content() returns it as served.
+function fixturePool() {
+    return {
+        run: async fn => {
+            let html = '';
+            return fn({
+                setDefaultNavigationTimeout() {},
+                setDefaultTimeout() {},
+                setRequestInterception: async () => {},
+                on() {},
+                setUserAgent: async () => {},
+                goto: async url => {
+                    const res = await fetch(url);
+                    html = await res.text();
+                    return { status: () => res.status, headers: () => Object.fromEntries(res.headers) };
+                },
+                waitForSelector: async () => {},
+                content: async () => html
+            });
+        }
+    };
+}
+
+const unique = items => [...new Map(items.map(i => [i.id, i])).values()];
+
+test('fetchPage extracts every card of a listing page', async () => {
+    const { items: cards, strategy, degraded } = await addon.fetchPage(fixturePool(), 1, {}, 'popular');
+    assert.strictEqual(strategy, 'livewire-cards@2024');
+    assert.strictEqual(degraded, false);
+    const items = unique(cards);
+    assert.strictEqual(items.length, 25);
+    assert.deepStrictEqual(items[0], {
+        id: 'hstream:series-a-1',
+        type: 'movie',
+        name: 'Series A - 1',
+        poster: `${upstream.url}/images/hentai/series-a/cover-ep-1.webp`,
+        posterShape: 'poster',
+        link: `${upstream.url}/hentai/series-a-1`,
+        baseId: 'series-a',
+        episodeNumber: '1',
+        quality: '4k | FHD 48fps',
+        views: '12,345'
+    });
+    assert.strictEqual(items.find(i => i.baseId === 'series-b').quality, 'Scat + Horror');
+    assert.ok(upstream.requests.includes('/search?view=poster&order=view-count&page=1'));
+});
+
+test('fetchPageHttp matches the browser path and returns [] past the last page', async () => {
+    const http = unique((await addon.fetchPageHttp(2, {}, 'recent')).items);
+    const browser = unique((await addon.fetchPage(fixturePool(), 2, {}, 'recent')).items);
+    assert.deepStrictEqual(http, browser);
+    assert.strictEqual(http.length, 25);
+    assert.ok(upstream.requests.includes('/search?view=poster&order=recently-released&page=2'));
+    assert.deepStrictEqual((await addon.fetchPageHttp(3, {}, 'recent')).items, []);
+});
+
+// Listing page 1 with the current card markup renamed away, or with every poster removed.
+const oldMarkup = () => fixture('listing-1.html').replace(/wire:key="episode-/g, 'data-key="episode-');
+const noPosters = () => fixture('listing-1.html').replace(/<img [^>]*>/g, '');
+
+test('extractListing falls back to the next strategy when the markup changes', () => {
+    const { items, strategy, degraded } = extractListing(oldMarkup(), `${upstream.url}/search`);
+    assert.strictEqual(strategy, 'grid-cells@2023');
+    assert.strictEqual(degraded, false);
+    assert.strictEqual(unique(items).length, 25);
+    assert.ok(scrapeHealth().listing.strategies['livewire-cards@2024'].failed > 0);
+});
+
+test('extractListing flags a page no strategy validates, until one does again', () => {
+    const result = extractListing(noPosters(), `${upstream.url}/search`);
+    assert.strictEqual(result.degraded, true);
+    assert.ok(result.problems.some(p => p.includes('without a poster')));
+    assert.strictEqual(scrapeHealth().listing.degraded, true);
+
+    assert.strictEqual(extractListing(fixture('listing-1.html'), `${upstream.url}/search`).degraded, false);
+    assert.strictEqual(scrapeHealth().listing.degraded, false);
+});
+
+test('fetchCatalog keeps a degraded index only briefly', async () => {
+    upstream.overrides.set('/search?view=poster&order=view-count&page=1', noPosters());
+    const series = await addon.fetchCatalog(0, {}, 'popular');
+    assert.ok(series.length > 0);
+    const ttl = addon.caches.get('catalog').expiresAt('catalog-popular-all') - Date.now();
+    assert.ok(ttl > 0 && ttl <= 5 * 60 * 1000);
+
+    // Once the site validates again the index is rebuilt and kept as usual.
+    upstream.overrides.clear();
+    addon.caches.get('catalog').clear();
+    assert.strictEqual((await addon.fetchCatalog(0, {}, 'popular')).length, 46);
+    assert.ok(addon.caches.get('catalog').expiresAt('catalog-popular-all') - Date.now() > 5 * 60 * 1000);
+});
+
+test('fetchVideoDetails reads meta, sources and subtitles from an episode page', async () => {
+    const details = await addon.fetchVideoDetails(`${upstream.url}/hentai/series-a-2`);
+    assert.strictEqual(details.title, 'Series A - 2');
+    assert.strictEqual(details.japaneseTitle, 'Shiriizu Ei');
+    assert.strictEqual(details.releaseInfo, '2023-05-02');
+    assert.strictEqual(details.studio, 'Pink Pineapple');
+    assert.deepStrictEqual(details.genres, ['Vanilla', 'Big Boobs']);
+    assert.strictEqual(details.servedBy, 'http');
+    // Best quality first, 48fps variants ranked above their base resolution.
+    assert.deepStrictEqual(details.sources.map(s => s.size), ['2161', '2160', '1080', '720']);
+    assert.deepStrictEqual(details.episodes.map(e => e.number), [1, 2, 3]);
+
+    const [eng, spa] = details.subtitles;
+    assert.strictEqual(eng.id, 'eng');
+    assert.strictEqual(eng.format, 'ass');
+    assert.ok(eng.url.startsWith('http://addon.test/subs/') && eng.url.endsWith('.vtt'));
+    assert.strictEqual(Buffer.from(eng.url.split('/subs/')[1].replace(/\.vtt$/, ''), 'base64url').toString(),
+        `${upstream.url}/uploads/subs/series-a-2-eng.ass`);
+    assert.strictEqual(spa.id, 'spa-auto');
+    assert.strictEqual(spa.format, 'vtt');
+    assert.strictEqual(spa.renditions.ass, undefined);
+});
+
+test('fetchVideoDetails caches a successful scrape', async () => {
+    const url = `${upstream.url}/hentai/series-a-1`;
+    const first = await addon.fetchVideoDetails(url);
+    const requests = upstream.requests.length;
+    assert.strictEqual(await addon.fetchVideoDetails(url), first);
+    assert.strictEqual(upstream.requests.length, requests);
+});
+
+test('fetchVideoDetails keeps the meta of a page without <source> when Chrome is off', async () => {
+    const details = await addon.fetchVideoDetails(`${upstream.url}/hentai/title-01-1`);
+    assert.deepStrictEqual(details.sources, []);
+    assert.strictEqual(details.title, 'Title 01 - 1');
+    assert.deepStrictEqual(details.genres, ['Scat']);
+    assert.deepStrictEqual(upstream.requests, ['/hentai/title-01-1']);
+});
+
+test('fetchVideoDetails does not cache a failed scrape', async () => {
+    const url = `${upstream.url}/hentai/missing-1`;
+    const details = await addon.fetchVideoDetails(url);
+    assert.strictEqual(details.title, 'Unknown');
+    assert.deepStrictEqual(details.sources, []);
+    await addon.fetchVideoDetails(url);
+    assert.strictEqual(upstream.requests.filter(r => r === '/hentai/missing-1').length, 2);
+});
+
+test('fetchCatalog groups episodes into series and stops at the end of the listing', async () => {
+    const series = await addon.fetchCatalog(0, {}, 'popular');
+    // 49 unique episodes over two pages (one card repeated on page 2) in 46 series.
+    assert.strictEqual(series.length, 46);
+    assert.strictEqual(series[0].id, 'hstream:series-a');
+    assert.deepStrictEqual(series[0].episodes.map(e => e.number), [1, 2, 3]);
+    assert.strictEqual(series[1].id, 'hstream:series-b');
+
+    // Two batches of five pages: the second comes back empty and marks the index exhausted.
+    const pages = upstream.requests.filter(r => r.includes('order=view-count')).map(r => Number(r.match(/page=(\d+)/)[1]));
+    assert.deepStrictEqual(pages.sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+
+    upstream.requests.length = 0;
+    assert.strictEqual((await addon.fetchCatalog(0, {}, 'popular')).length, 46);
+    assert.deepStrictEqual(await addon.fetchCatalog(100, {}, 'popular'), []);
+    assert.deepStrictEqual(upstream.requests, []);
+});
+
+test('fetchCatalog pages through the cached index by skip', async () => {
+    const all = await addon.fetchCatalog(0, {}, 'recent');
+    const [firstPage, secondPage] = [all.slice(0, 30), all.slice(30)];
+    assert.deepStrictEqual((await addon.fetchCatalog(30, {}, 'recent')).map(s => s.id), secondPage.map(s => s.id));
+    assert.ok(!secondPage.some(s => firstPage.some(f => f.id === s.id)));
+});
+
+test('concurrent requests share one fetch per episode page and listing page', async () => {
+    const url = `${upstream.url}/hentai/series-a-1`;
+    upstream.overrides.set('/hentai/series-a-1', { status: 200, body: fixture('detail-series-a.html').replace(/__EP__/g, '1'), delay: 100 });
+    const details = await Promise.all([1, 2, 3].map(() => addon.fetchVideoDetails(url)));
+    assert.ok(details.every(d => d.sources.length === 4));
+    assert.deepStrictEqual(upstream.requests.filter(r => r.startsWith('/hentai/')), ['/hentai/series-a-1']);
+
+    // Overlapping pages of one catalog: the second waits for the first to grow the
+    // index instead of scraping the same listing pages again.
+    upstream.requests.length = 0;
+    const [first, second, again] = await Promise.all([
+        addon.fetchCatalog(0, {}, 'popular'),
+        addon.fetchCatalog(30, {}, 'popular'),
+        addon.fetchCatalog(0, {}, 'popular')
+    ]);
+    assert.deepStrictEqual(second.map(s => s.id), first.slice(30).map(s => s.id));
+    assert.deepStrictEqual(again, first);
+    const listings = upstream.requests.filter(r => r.startsWith('/search'));
+    assert.deepStrictEqual(listings, [...new Set(listings)]);
+    assert.ok(listings.some(r => r.endsWith('&page=2')));
+});
+
+test('fetchCatalog searches and hides blocked tags', async () => {
+    const found = await addon.fetchCatalog(0, { search: 'series' }, 'popular');
+    assert.deepStrictEqual(found.map(s => s.id), ['hstream:series-a']);
+    assert.ok(upstream.requests.some(r => r.startsWith('/search?q=series&page=1')));
+
+    // series-b shows the tag on its card; title-01 and title-05 only on their detail
+    // pages, which are opened for the titles on the requested page instead of
+    // walking hstream's tag listing.
+    upstream.overrides.set('/hentai/title-05-1', fixture('detail-title-01.html').replace(/Title 01/g, 'Title 05'));
+    const visible = (await addon.fetchCatalog(0, {}, 'popular', ['Scat'])).map(s => s.id);
+    assert.strictEqual(visible.length, 43);
+    assert.ok(!visible.includes('hstream:series-b'));
+    assert.ok(!visible.includes('hstream:title-01'));
+    assert.ok(!visible.includes('hstream:title-05'));
+    assert.ok(upstream.requests.includes('/hentai/title-05-1'));
+    assert.ok(!upstream.requests.some(r => r.includes('tags')));
+
+    // Offsets count the same visible titles.
+    assert.deepStrictEqual((await addon.fetchCatalog(10, {}, 'popular', ['Scat'])).map(s => s.id), visible.slice(10));
+});
+
+test('blocklist checks read tags over HTTP only and remember pages that failed', async () => {
+    upstream.overrides.set('/hentai/title-05-1', { status: 500, body: 'Server Error' });
+    const visible = (await addon.fetchCatalog(0, {}, 'popular', ['Scat'])).map(s => s.id);
+    assert.ok(visible.includes('hstream:title-05'));
+    // Tag checks leave the episode caches alone: nothing was scraped for streams.
+    assert.strictEqual(addon.caches.get('stream').data.size, 0);
+
+    upstream.requests.length = 0;
+    await addon.fetchCatalog(0, {}, 'popular', ['Scat']);
+    assert.ok(!upstream.requests.includes('/hentai/title-05-1'));
+});
+
+test('fetchPage passes a browser crash on instead of reporting an empty page', async () => {
+    const crashed = Object.assign(new Error('Browser disconnected during task listing page 1'), { code: 'BROWSER_CRASHED' });
+    await assert.rejects(addon.fetchPage({ run: async () => { throw crashed; } }, 1, {}, 'popular'), crashed);
+});
+
+test('close() lets running scrapes finish first', async () => {
+    const { upstream: slow, addon: instance } = await loadAddon();
+    slow.overrides.set('/hentai/series-a-1', { status: 200, body: fixture('detail-series-a.html').replace(/__EP__/g, '1'), delay: 200 });
+    let done = false;
+    const pending = instance.fetchVideoDetails(`${slow.url}/hentai/series-a-1`).then(details => {
+        done = true;
+        return details;
+    });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await instance.close({ timeout: 5000 });
+    assert.ok(done);
+    assert.strictEqual((await pending).sources.length, 4);
+    await slow.close();
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSearch, emptyIndex, loadIndex, saveIndex } = require('../site-index');
+const { crawlSite } = require('../crawl');
+const { loadAddon, fixture } = require('./mock-server');
+
+const entry = (baseId, title, japaneseTitle, extra = {}) => ({
+    baseId, title, japaneseTitle, tags: [], studio: null, released: null, poster: null, description: null,
+    episodes: [{ number: 1, id: `hstream:${baseId}-1`, link: `https://hstream.test/hentai/${baseId}-1` }],
+    detailsMissing: false,
+    ...extra
+});
+
+const INDEX = {
+    ...emptyIndex(),
+    complete: true,
+    series: [
+        entry('kuro-inu', 'Kuro Inu', 'くっ殺せの姫騎士となり'),
+        entry('overflow', 'Overflow', 'オーバーフロー', { tags: ['Vanilla'], studio: 'Studio Hokiboshi', released: '2020-01-06' }),
+        entry('shoujo-ramune', 'Shoujo Ramune', null, { tags: ['Loli'] }),
+        entry('new-title', 'Overtime', null, { detailsMissing: true })
+    ]
+};
+
+test('search matches English and Japanese titles despite typos and spelling', () => {
+    const { search } = createSearch(INDEX);
+    const ids = query => search(query).map(s => s.baseId);
+    assert.deepStrictEqual(ids('overflw'), ['overflow']);
+    assert.deepStrictEqual(ids('kuroinu'), ['kuro-inu']);
+    assert.deepStrictEqual(ids('shojo'), ['shoujo-ramune']);
+    assert.deepStrictEqual(ids('おーばーふろー'), ['overflow']);
+    assert.deepStrictEqual(ids('姫騎士'), ['kuro-inu']);
+    // Prefix of two titles: both, in index order.
+    assert.deepStrictEqual(ids('over'), ['overflow', 'new-title']);
+    assert.deepStrictEqual(ids('something else'), []);
+});
+
+// Stand-in for createAddon(): `pages` are listing pages of { name, baseId, number }.
+function fakeSite(pages, details = {}) {
+    const calls = { pages: [], details: [] };
+    return {
+        calls,
+        fetchListingPage: async page => {
+            calls.pages.push(page);
+            const items = (pages[page - 1] || []).map(({ name, baseId, number }) => ({
+                id: `hstream:${baseId}-${number}`,
+                name: `${name} - ${number}`,
+                baseId,
+                episodeNumber: String(number),
+                link: `https://hstream.test/hentai/${baseId}-${number}`,
+                poster: `https://hstream.test/images/${baseId}.webp`
+            }));
+            return { items, degraded: false };
+        },
+        fetchEpisodeMeta: async link => {
+            calls.details.push(link);
+            const baseId = link.split('/hentai/')[1].replace(/-\d+$/, '');
+            if (!details[baseId]) throw new Error(`HTTP 404 for ${link}`);
+            return details[baseId];
+        }
+    };
+}
+
+const quiet = { log: () => {} };
+
+test('a first crawl walks every listing page and opens each title once', async () => {
+    const site = fakeSite([
+        [{ name: 'Series A', baseId: 'series-a', number: 2 }, { name: 'Title', baseId: 'title', number: 1 }],
+        [{ name: 'Series A', baseId: 'series-a', number: 1 }]
+    ], {
+        'series-a': {
+            title: 'Series A - 1', japaneseTitle: 'Shiriizu Ei - 1', genres: ['Vanilla'], studio: 'Studio X', releaseInfo: '2023-05-01',
+            episodes: [{ number: 3, link: 'https://hstream.test/hentai/series-a-3' }]
+        }
+    });
+    const index = await crawlSite(site, emptyIndex(), quiet);
+
+    assert.deepStrictEqual(site.calls.pages, [1, 2, 3]);
+    assert.deepStrictEqual(site.calls.details, ['https://hstream.test/hentai/series-a-1', 'https://hstream.test/hentai/title-1']);
+    assert.strictEqual(index.complete, true);
+    const [seriesA, title] = index.series;
+    assert.deepStrictEqual(seriesA.episodes.map(e => e.number), [1, 2, 3]);
+    assert.strictEqual(seriesA.japaneseTitle, 'Shiriizu Ei');
+    assert.deepStrictEqual([seriesA.tags, seriesA.studio, seriesA.released], [['Vanilla'], 'Studio X', '2023-05-01']);
+    assert.strictEqual(title.detailsMissing, true);
+});
+
+test('a re-crawl stops at the first page with nothing new and retries missing details', async () => {
+    const index = {
+        ...emptyIndex(),
+        complete: true,
+        series: [entry('old', 'Old', null), entry('broken', 'Broken', null, { detailsMissing: true })]
+    };
+    const site = fakeSite([
+        [{ name: 'Fresh', baseId: 'fresh', number: 1 }, { name: 'Old', baseId: 'old', number: 1 }],
+        [{ name: 'Old', baseId: 'old', number: 1 }, { name: 'Broken', baseId: 'broken', number: 1 }],
+        [{ name: 'Older', baseId: 'older', number: 1 }]
+    ], { fresh: { title: 'Fresh - 1', genres: [], episodes: [] } });
+    const next = await crawlSite(site, index, quiet);
+
+    assert.deepStrictEqual(site.calls.pages, [1, 2]);
+    assert.deepStrictEqual(next.series.map(s => s.baseId), ['fresh', 'old', 'broken']);
+    assert.deepStrictEqual(site.calls.details.sort(), ['https://hstream.test/hentai/broken-1', 'https://hstream.test/hentai/fresh-1']);
+    assert.strictEqual(next.series[0].detailsMissing, false);
+});
+
+test('a crawl that fails part-way saves what it has as incomplete', async () => {
+    const site = fakeSite([[{ name: 'Series A', baseId: 'series-a', number: 1 }]]);
+    const listing = site.fetchListingPage;
+    site.fetchListingPage = async page => {
+        if (page === 2) throw new Error('hstream is rate-limiting us');
+        return listing(page);
+    };
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hstream-index-'));
+    const file = path.join(dir, 'index.json');
+    try {
+        await assert.rejects(crawlSite(site, emptyIndex(), { ...quiet, save: index => saveIndex(file, index) }), /rate-limiting/);
+        const saved = await loadIndex(file);
+        assert.strictEqual(saved.complete, false);
+        assert.deepStrictEqual(saved.series.map(s => s.baseId), ['series-a']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('a crawl reads title details from the plain page, never opening Chrome', async () => {
+    // Real episode pages have no <source> until the player script runs.
+    const { upstream, addon } = await loadAddon({ scraper: 'auto', probeSources: true });
+    upstream.overrides.set('/hentai/series-a-1', fixture('detail-series-a.html').replace(/__EP__/g, '1').replace(/<source [^>]*>/g, ''));
+    try {
+        const index = await crawlSite(addon, emptyIndex(), { ...quiet, maxPages: 1 });
+        const seriesA = index.series.find(s => s.baseId === 'series-a');
+        assert.strictEqual(seriesA.studio, 'Pink Pineapple');
+        assert.ok(seriesA.tags.includes('Vanilla'));
+        assert.strictEqual((await addon.collectStatus()).browser.browsers, 0);
+        assert.ok(!upstream.requests.some(p => p.startsWith('/cdn/')));
+    } finally {
+        await addon.close();
+        await upstream.close();
+    }
+});
+
+test('catalog searches are answered from the index, filters and blocked tags applied', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hstream-index-'));
+    const indexFile = path.join(dir, 'index.json');
+    saveIndex(indexFile, INDEX);
+    const { upstream, addon } = await loadAddon({ indexFile });
+    const config = { catalogs: ['hstream-popular'], blockedTags: [] };
+    const search = async (value, extra = {}, blockedTags = []) => (await addon.addonInterface.get('catalog', 'series', 'hstream-popular',
+        { search: value, ...extra }, { ...config, blockedTags })).metas.map(m => m.id);
+    try {
+        const { metas } = await addon.addonInterface.get('catalog', 'series', 'hstream-popular', { search: 'overflw' }, config);
+        assert.deepStrictEqual(metas.map(m => [m.id, m.name, m.description]), [['hstream:overflow', 'Overflow', 'Studio Hokiboshi  •  2020']]);
+        assert.deepStrictEqual(await search('shojo', { genre: 'loli' }), ['hstream:shoujo-ramune']);
+        assert.deepStrictEqual(upstream.requests.filter(p => p.startsWith('/search')), []);
+
+        // Every match filtered out (blocked, or without details to check): hstream's search answers.
+        await search('over', {}, ['vanilla']);
+        assert.ok(upstream.requests.some(p => p.startsWith('/search?q=over')));
+
+        // No match in the index: hstream's own search answers.
+        assert.deepStrictEqual(await search('series'), ['hstream:series-a']);
+        assert.ok(upstream.requests.some(p => p.startsWith('/search?q=series')));
+    } finally {
+        await addon.close();
+        await upstream.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,102 @@
+// Stream link checks and source probes: the fixture pages are rewritten to link
+// videos on the mock server's /cdn/, so probes get real answers.
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAddon, fixture, VIDEO } = require('./mock-server');
+
+let upstream;
+let addon;
+let server;
+let base;
+
+test.before(async () => {
+    let app;
+    ({ upstream, addon, app } = await loadAddon({ validateStreams: true, probeSources: true }));
+    for (const n of [1, 2, 3]) {
+        upstream.overrides.set(`/hentai/series-a-${n}`, fixture('detail-series-a.html')
+            .replace(/__EP__/g, n)
+            .replace(/https:\/\/cdn\.example/g, `${upstream.url}/cdn`));
+    }
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await addon.close();
+    await upstream.close();
+});
+
+const streamsOf = async id => (await (await fetch(`${base}/stream/series/${id}.json`)).json()).streams;
+
+// Swap the video links of a cached details entry.
+function rewriteCached(episode, rewrite) {
+    const cache = addon.caches.get('stream');
+    const key = `details-${upstream.url}/hentai/series-a-${episode}`;
+    const details = cache.get(key);
+    cache.set(key, { ...details, sources: details.sources.map(s => ({ ...s, url: rewrite(s.url) })) });
+}
+
+test('streams carry the size and codec probed from each file', async () => {
+    const [best, , full] = await streamsOf('hstream:series-a:1:1');
+    assert.strictEqual(best.behaviorHints.videoSize, VIDEO.length);
+    assert.strictEqual(best.behaviorHints.videoCodec, 'HEVC');
+    assert.strictEqual(best.behaviorHints.interpolated, true);
+    assert.strictEqual(best.behaviorHints.filename, 'Series A - 1 [2160p 48fps].mp4');
+    assert.ok(best.title.includes('\n🎞 2 MB · HEVC · 48fps (interpolated)'));
+    assert.strictEqual(full.behaviorHints.filename, 'Series A - 1 [1080p].mp4');
+    assert.strictEqual(full.behaviorHints.interpolated, undefined);
+
+    // Probed once, when scraped; the cached details are served as they are.
+    upstream.requests.length = 0;
+    await streamsOf('hstream:series-a:1:1');
+    assert.ok(!upstream.requests.some(path => path.startsWith('/cdn/')));
+});
+
+test('a cached link the CDN no longer serves is re-scraped', async () => {
+    assert.ok((await streamsOf('hstream:series-a:1:1'))[0].url.includes('/cdn/'));
+    rewriteCached(1, url => url.replace('/cdn/', '/gone/'));
+
+    upstream.requests.length = 0;
+    const streams = await streamsOf('hstream:series-a:1:1');
+    assert.ok(streams.every(s => s.url.includes('/cdn/')));
+    assert.ok(upstream.requests.includes('/gone/series-a/E1/2161/manifest.mp4'));
+    assert.ok(upstream.requests.includes('/hentai/series-a-1'));
+});
+
+test('a link past its signed expiry is re-scraped without probing it', async () => {
+    await streamsOf('hstream:series-a:1:2');
+    const expired = Math.floor(Date.now() / 1000) - 10;
+    rewriteCached(2, url => `${url}?expires=${expired}`);
+
+    upstream.requests.length = 0;
+    const streams = await streamsOf('hstream:series-a:1:2');
+    assert.ok(streams.every(s => !s.url.includes('expires=')));
+    assert.ok(upstream.requests.includes('/hentai/series-a-2'));
+    assert.ok(!upstream.requests.some(path => path.includes('expires=')));
+});
+
+test('an episode that fails to scrape is reported unavailable and not cached', async () => {
+    const page = upstream.overrides.get('/hentai/series-a-3');
+    upstream.overrides.set('/hentai/series-a-3', { status: 500, body: '' });
+    const [stream] = await streamsOf('hstream:series-a:1:3');
+    assert.ok(stream.name.includes('Unavailable'));
+    assert.ok(stream.title.startsWith('Temporarily unavailable'));
+    assert.ok(stream.externalUrl.endsWith('/hentai/series-a-3'));
+    assert.strictEqual(addon.caches.get('stream').get(`details-${upstream.url}/hentai/series-a-3`), null);
+
+    upstream.overrides.set('/hentai/series-a-3', page);
+    assert.ok((await streamsOf('hstream:series-a:1:3'))[0].url.includes('/cdn/'));
+});
+
+test('links that are still dead after a re-scrape are reported unavailable', async () => {
+    rewriteCached(3, url => url.replace('/cdn/', '/gone/'));
+    upstream.overrides.set('/hentai/series-a-3', fixture('detail-series-a.html')
+        .replace(/__EP__/g, 3)
+        .replace(/https:\/\/cdn\.example/g, `${upstream.url}/gone`));
+    const [stream] = await streamsOf('hstream:series-a:1:3');
+    assert.ok(stream.title.includes('expired'));
+    assert.strictEqual(addon.caches.get('stream').get(`details-${upstream.url}/hentai/series-a-3`), null);
+});
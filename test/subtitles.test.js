@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { assToSrt, assToVtt, convertSubtitle, detectFormat } = require('../subtitles');
+const { fixture } = require('./mock-server');
+
+const ass = fixture('subtitle.ass');
+
+function cues(srt) {
+    return srt.trim().split(/\n\n+/).map(block => {
+        const [index, timing, ...text] = block.split('\n');
+        return { index, timing, text: text.join('\n') };
+    });
+}
+
+test('assToSrt orders events by start time and numbers them from 1', () => {
+    const out = cues(assToSrt(ass));
+    assert.deepStrictEqual(out.map(c => c.index), out.map((_, i) => String(i + 1)));
+    assert.strictEqual(out[0].timing, '00:00:01,000 --> 00:00:03,200');
+    assert.strictEqual(out[out.length - 1].timing, '01:02:03,450 --> 01:02:04,500');
+});
+
+test('assToSrt strips override tags and keeps commas and line breaks in the text', () => {
+    const texts = cues(assToSrt(ass)).map(c => c.text);
+    assert.ok(texts.includes('Hello, world!\nSecond line'));
+    assert.ok(texts.includes('Later line, with a comma'));
+    assert.ok(texts.includes('TOP SIGN'));
+    assert.ok(texts.includes('Odd precision'));
+});
+
+test('assToSrt drops drawings, tag-only events and comments', () => {
+    const srt = assToSrt(ass);
+    assert.ok(!/m 0 0 l/.test(srt));
+    assert.ok(!srt.includes('Not shown'));
+    assert.strictEqual(cues(srt).length, 6);
+});
+
+test('assToSrt returns an empty string for input without events', () => {
+    assert.strictEqual(assToSrt(''), '');
+    assert.strictEqual(assToSrt('[Script Info]\nTitle: x\n'), '');
+    assert.strictEqual(assToSrt('[Events]\nDialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,No format line\n'), '');
+});
+
+test('assToVtt keeps italics, alignment and positioning', () => {
+    const vtt = assToVtt(ass);
+    assert.ok(vtt.startsWith('WEBVTT\n\n'));
+    assert.ok(vtt.includes('00:00:01.000 --> 00:00:03.200\nHello, <i>world</i>!\nSecond line'));
+    // Style alignment 8 and italics from the Thoughts style
+    assert.ok(vtt.includes('00:00:02.000 --> 00:00:04.000 line:0\n<i>Thinking...</i>'));
+    // \an8 override
+    assert.ok(vtt.includes('00:00:02.000 --> 00:00:06.000 line:0\nTOP SIGN'));
+    // \pos in PlayRes coordinates
+    assert.ok(vtt.includes('line:50%,center position:50%,center\nCentre sign'));
+});
+
+test('convertSubtitle passes matching formats through and converts between SRT and VTT', () => {
+    const vtt = fixture('subtitle.vtt');
+    assert.strictEqual(detectFormat(ass), 'ass');
+    assert.strictEqual(detectFormat(vtt), 'vtt');
+    assert.strictEqual(convertSubtitle(ass, 'ass'), ass);
+    assert.strictEqual(convertSubtitle(vtt, 'vtt'), vtt);
+    assert.strictEqual(convertSubtitle(vtt, 'ass'), null);
+    const srt = convertSubtitle(vtt, 'srt');
+    assert.ok(srt.includes('00:00:04,000 --> 00:00:05,500\nSegunda línea'));
+    assert.ok(convertSubtitle(srt, 'vtt').includes('00:00:04.000 --> 00:00:05.500'));
+});
@@ -0,0 +1,57 @@
+// In its own file: once hstream answers with a long Retry-After the instance's
+// limiter stays open for the rest of the run.
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAddon } = require('./mock-server');
+
+let upstream;
+let addon;
+let app;
+
+test.before(async () => {
+    ({ upstream, addon, app } = await loadAddon());
+});
+
+test.after(() => upstream.close());
+
+// Re-set an entry so that it expired a moment ago but is still within the stale window.
+function expire(cacheName, key) {
+    const cache = addon.caches.get(cacheName);
+    cache.set(key, cache.get(key), 1);
+    return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+test('subtitle downloads refused by the host never pause requests to hstream', async () => {
+    upstream.overrides.set('/uploads/subs/blocked.ass', { status: 403, body: '' });
+    const sub = `/subs/${Buffer.from(`${upstream.url}/uploads/subs/blocked.ass`).toString('base64url')}.vtt`;
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    try {
+        for (let i = 0; i < 4; i++) {
+            assert.strictEqual((await fetch(`http://127.0.0.1:${server.address().port}${sub}`)).status, 502);
+        }
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+    const { upstream: limiter } = await addon.collectStatus();
+    assert.strictEqual(limiter.throttled, 0);
+    assert.strictEqual(limiter.open, false);
+});
+
+test('while hstream rate-limits us, expired entries are served and nothing new is requested', async () => {
+    const url = `${upstream.url}/hentai/series-a-1`;
+    const details = await addon.fetchVideoDetails(url);
+    assert.strictEqual((await addon.fetchCatalog(0, {}, 'popular')).length, 46);
+    await expire('stream', `details-${url}`);
+    await expire('catalog', 'catalog-popular-all');
+
+    upstream.overrides.set('/hentai/series-a-1', { status: 429, headers: { 'Retry-After': '120' }, body: '' });
+    assert.deepStrictEqual(await addon.fetchVideoDetails(url), details);
+
+    upstream.requests.length = 0;
+    assert.strictEqual((await addon.fetchCatalog(0, {}, 'popular')).length, 46);
+    // No stale copy to fall back to: fails fast without contacting hstream.
+    assert.strictEqual((await addon.fetchVideoDetails(`${upstream.url}/hentai/series-a-2`)).title, 'Unknown');
+    assert.deepStrictEqual(upstream.requests, []);
+});